@@ -13,11 +13,40 @@ if (!fs.existsSync(CALL_HISTORY_DIR)) {
 
 // Environment variables
 export const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// OpenAI API root for Realtime (wss) and Whisper (https); point at mock/realtime-server.js for offline development
+export const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
 export const GCS_BUCKET = process.env.GCS_BUCKET || process.env.GOOGLE_CLOUD_BUCKET || null;
+// Bucket for full, unredacted transcripts - limit access to the people who need raw caller details
+export const GCS_RESTRICTED_BUCKET = process.env.GCS_RESTRICTED_BUCKET || null;
+
+// Full (unredacted) transcripts when GCS_RESTRICTED_BUCKET is not set (or an upload fails); created owner-only on first use
+export const RESTRICTED_TRANSCRIPTS_DIR = process.env.RESTRICTED_TRANSCRIPTS_DIR || path.join(process.cwd(), 'call-history-restricted');
 export const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || null;
 export const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || null;
 export const PORT = Number(process.env.PORT) || 8080;
 
+// Twilio request security
+// Set DISABLE_TWILIO_VALIDATION=true for local development only (skips signature and stream token checks)
+export const DISABLE_TWILIO_VALIDATION = process.env.DISABLE_TWILIO_VALIDATION === 'true';
+export const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN;
+export const STREAM_TOKEN_TTL_SECONDS = Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 120;
+
+// API key for POST /outbound-call (endpoint is disabled when unset)
+export const OUTBOUND_API_KEY = process.env.OUTBOUND_API_KEY || null;
+
+// API key for /media-stream/pcm (non-Twilio media gateways; endpoint is disabled when unset)
+export const MEDIA_GATEWAY_API_KEY = process.env.MEDIA_GATEWAY_API_KEY || null;
+
+// API key for the /web-call browser test channel (endpoint is disabled when unset)
+export const WEB_CALL_API_KEY = process.env.WEB_CALL_API_KEY || null;
+
+// API key for admin and reporting endpoints such as GET /experiments/report (disabled when unset)
+export const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Public base URL of this service (e.g. https://voice.example.com). When unset,
+// the host is taken from the Host / X-Forwarded-Host headers of the webhook request.
+export const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || null;
+
 // Email configuration (for future use)
 export const EMAIL_CONFIG = {
     // SMTP Configuration (cPanel)
@@ -35,6 +64,7 @@ export const EMAIL_CONFIG = {
     
     // Common
     NOTIFY_EMAIL: process.env.NOTIFY_EMAIL || null,
+    ALERT_EMAIL: process.env.ALERT_EMAIL || null, // Pipeline failure alerts (default: NOTIFY_EMAIL)
     EMAIL_ENABLED: process.env.EMAIL_ENABLED === 'true'
 };
 
@@ -42,6 +72,25 @@ export const EMAIL_CONFIG = {
 export const USE_REALTIME_TRANSCRIPTION = false;
 export const TEMPERATURE = 0.2;
 
+// How long to wait for the OpenAI Realtime socket to open before falling back to voicemail
+export const OPENAI_CONNECT_TIMEOUT_MS = Number(process.env.OPENAI_CONNECT_TIMEOUT_MS) || 8000;
+
+// Reconnecting to OpenAI after the Realtime socket drops mid-call
+export const OPENAI_RECOVERY_SETTINGS = {
+    MAX_ATTEMPTS: Number(process.env.OPENAI_RECONNECT_ATTEMPTS) || 3,  // then fall back to voicemail
+    RETRY_DELAY_MS: 1000,   // 1s, 2s, 3s... between attempts
+    MAX_REPLAY_ITEMS: 60    // most recent conversation entries replayed into the new session
+};
+
+// Maximum simultaneous AI sessions (OpenAI Realtime sockets); 0 = no limit
+export const MAX_CONCURRENT_CALLS = process.env.MAX_CONCURRENT_CALLS !== undefined ? Number(process.env.MAX_CONCURRENT_CALLS) || 0 : 20;
+
+// How long an accepted /incoming-call holds a slot while its media stream connects
+export const SESSION_RESERVATION_TTL_MS = 30000;
+
+// How long a placed outbound call holds a slot while it rings (Twilio gives up after 60 seconds)
+export const OUTBOUND_RESERVATION_TTL_MS = 90000;
+
 // List of Event Types to log to the console
 export const LOG_EVENT_TYPES = [
     'error',
@@ -62,6 +111,68 @@ export const LOG_EVENT_TYPES = [
     'conversation.item.created'
 ];
 
+// Default agent settings (used when u247-agent.json is missing or incomplete)
+export const DEFAULT_AGENT_SETTINGS = {
+    voice: 'sage',
+    temperature: 0.2,
+    use_realtime_transcription: false,
+    initial_greeting: 'Greet the user with : This is Lucy from Update 2 4 7. How are you today?',
+    // Spoken by Twilio <Say> before the media stream connects
+    connect_greeting: 'Connecting your call to Update 2 4 7',
+    connect_voice: 'Google.en-US-Chirp3-HD-Aoede',
+    // Played when the AI pipeline fails and the call falls back to voicemail
+    fallback_voicemail_message: 'Sorry, we are having technical difficulties. Please leave your name, number and a short message after the beep, and we will call you back as soon as possible.',
+    // Live transfer targets: E.164 number or sip: URI per department
+    transfer: {
+        support: process.env.SUPPORT_TRANSFER_TARGET || null,
+        sales: process.env.SALES_TRANSFER_TARGET || null,
+        caller_id: process.env.TRANSFER_CALLER_ID || null,
+        handoff_message: 'Please hold while I transfer you to our {department} team.',
+        notify_email: null,
+        webhook_url: process.env.TRANSFER_WEBHOOK_URL || null
+    },
+    // Outbound calls placed through POST /outbound-call
+    outbound: {
+        caller_id: process.env.OUTBOUND_CALLER_ID || null,
+        initial_greeting: 'Greet the user with : Hi, this is Emma calling from Update 2 4 7 about {purpose}. Is now a good time to talk?',
+        instructions: 'OUTBOUND CALL: You are calling the customer - they did not call us. Purpose of the call: {purpose}. Context: {context}. Introduce yourself, confirm it is a good time, and stay focused on the purpose. If it is not a good time, ask when to call back and save it with save_caller_info.',
+        machine_message: 'Hi, this is Update 2 4 7 returning your call about {purpose}. We will try you again soon, or you can call us back. Thank you.'
+    },
+    // Calls over MAX_CONCURRENT_CALLS: 'hold' (retry), 'voicemail' or 'forward'
+    overflow: {
+        mode: 'hold',
+        hold_message: 'Thanks for calling Update 2 4 7. All of our lines are busy right now. Please stay on the line.',
+        hold_seconds: 15,
+        max_hold_attempts: 3,
+        // What happens after the last hold attempt: 'voicemail' or 'forward'
+        after_hold: 'voicemail',
+        voicemail_message: 'All of our lines are busy right now. Please leave your name, number and a short message after the beep, and we will call you back as soon as possible.',
+        forward_to: process.env.OVERFLOW_FORWARD_TARGET || null,
+        forward_message: 'All of our lines are busy. Please hold while we connect you to our team.'
+    },
+    // When the caller's turn ends: 'server_vad' (silence based) or 'semantic_vad' (end of utterance)
+    // server_vad: threshold 0-1 (higher = needs louder speech, fewer false barge-ins), prefix_padding_ms, silence_duration_ms
+    // semantic_vad: eagerness 'low' (lets callers pause) | 'medium' | 'high' | 'auto'
+    turn_detection: {
+        type: 'server_vad',
+        threshold: 0.5,
+        prefix_padding_ms: 300,
+        silence_duration_ms: 500,
+        eagerness: 'auto'
+    },
+    // Call recording: saved next to the transcript once Twilio finishes processing it
+    recording: {
+        enabled: true,
+        channels: 'dual',
+        // Hold the transcript email this long for the recording details
+        email_wait_seconds: 120
+    },
+    // Calls start in default_language; the AI switches with set_language (see services/languages.js)
+    // languages: { code: { name, voice?, greeting?, instructions?, transcription_language? } }
+    default_language: 'en',
+    languages: {}
+};
+
 // Show AI response elapsed timing calculations
 export const SHOW_TIMING_MATH = false;
 
@@ -72,6 +183,53 @@ export const INACTIVITY_SETTINGS = {
     HANGUP: 60000           // 60 seconds - Auto hangup
 };
 
+// Keypad (DTMF) input settings
+export const DTMF_SETTINGS = {
+    DIGIT_TIMEOUT: 3000,    // 3 seconds after the last key - submit buffered digits
+    MAX_DIGITS: 12          // Submit once this many digits are buffered
+};
+
+// AI tool (function call) settings
+export const TOOL_SETTINGS = {
+    DEFAULT_TIMEOUT: 10000,  // 10 seconds - tool result replaced with an error after this
+    WEBHOOK_TIMEOUT: 5000,   // 5 seconds - default for webhook_tools without timeout_ms
+    // Property IDs accepted by save_caller_info (letters, digits, _ and -, e.g. 12345 or PROP_001)
+    PROPERTY_ID_PATTERN: process.env.PROPERTY_ID_PATTERN || '^[A-Za-z0-9][A-Za-z0-9_-]{0,19}$'
+};
+
+// Knowledge base (search_knowledge_base tool): Markdown / JSON help articles
+export const KNOWLEDGE_BASE_SETTINGS = {
+    LOCAL_DIR: process.env.KNOWLEDGE_BASE_DIR || 'asset',          // Relative to the working directory
+    GCS_PREFIX: process.env.KNOWLEDGE_BASE_GCS_PREFIX || null,     // e.g. knowledge-base/ - used instead of LOCAL_DIR when GCS is configured
+    CACHE_MS: 300000,        // 5 minutes - re-read articles so edits apply without a restart
+    MAX_RESULTS: 3,          // Passages returned per search
+    PASSAGE_CHARS: 800       // Articles are split into passages of about this size
+};
+
+// Agent settings hot reload and admin edits (/admin/settings)
+export const SETTINGS_RELOAD_SETTINGS = {
+    // How often settings files are checked for changes; 0 = only reload on admin edits
+    CHECK_INTERVAL_MS: process.env.SETTINGS_RELOAD_INTERVAL_MS !== undefined ? Number(process.env.SETTINGS_RELOAD_INTERVAL_MS) || 0 : 60000,
+    HISTORY_PREFIX: 'settings-history/',   // Version history: <prefix><file path>/<version>.json (bucket, or working directory)
+    MAX_VERSIONS_LISTED: 50
+};
+
+// PII redaction for saved transcripts and emails (services/redaction.js)
+// Policy per destination: full (unchanged), mask (keeps last digits / email domain) or remove (type label only)
+export const REDACTION_SETTINGS = {
+    ENABLED: process.env.REDACTION_ENABLED !== 'false',
+    DETECTORS: (process.env.REDACTION_DETECTORS || 'card,email,phone,address').split(',').map(type => type.trim()).filter(Boolean),
+    POLICY: {
+        restricted: process.env.REDACTION_RESTRICTED_POLICY || 'full',     // GCS_RESTRICTED_BUCKET or RESTRICTED_TRANSCRIPTS_DIR copy
+        transcripts: process.env.REDACTION_TRANSCRIPTS_POLICY || 'mask',   // GCS_BUCKET or call-history/
+        backups: process.env.REDACTION_BACKUPS_POLICY || 'mask',           // Backup copies (local and backups/ in GCS)
+        email: process.env.REDACTION_EMAIL_POLICY || 'mask'                // Transcript email (body and attachment) and transfer hand-off (email and webhook)
+    },
+    // Call metadata kept in every copy: needed to call back and to link records and recordings
+    // `field` / `error` are tool argument validation messages (invalidToolCalls); only the echoed `received` values are redacted
+    KEEP_FIELDS: ['callerNumber', 'calleeNumber', 'callSid', 'callId', 'streamSid', 'transcriptFile', 'location', 'url', 'field', 'error']
+};
+
 // Default system message
 export const DEFAULT_SYSTEM_MESSAGE = `You are Update247's AI phone agent. Speak with a clear Australian English accent.
 
@@ -170,5 +328,10 @@ export const validateConfig = () => {
         console.error('Missing OpenAI API key. Please set it in the .env file.');
         process.exit(1);
     }
+    if (DISABLE_TWILIO_VALIDATION) {
+        console.warn('⚠️  DISABLE_TWILIO_VALIDATION=true - Twilio signatures and stream tokens are NOT checked. Do not use in production.');
+    } else if (!TWILIO_AUTH_TOKEN) {
+        console.warn('⚠️  TWILIO_AUTH_TOKEN not set - all /incoming-call and /media-stream requests will be rejected.');
+    }
     return true;
 };
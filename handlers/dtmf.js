@@ -0,0 +1,109 @@
+// Keypad (DTMF) input handling
+
+import WebSocket from 'ws';
+import { DTMF_SETTINGS } from '../config/index.js';
+import { applyCallerInfo } from './functions.js';
+
+// The AI's last question asked for the property ID
+const isAskingForPropertyId = (conversationLog) => {
+    const lastAssistant = [...conversationLog].reverse().find(entry => entry.role === 'assistant');
+    return Boolean(lastAssistant && /property\s*(id|i\.d\.|number)/i.test(lastAssistant.content || ''));
+};
+
+// Create keypad handler for a call session
+// Digits are buffered until '#', DIGIT_TIMEOUT of no keys, or MAX_DIGITS; '*' clears the buffer
+export const createDtmfHandler = (getOpenAiWs, getCallState, getConversationLog) => {
+    let digitBuffer = '';
+    let digitTimer = null;
+
+    // Send an event to the current OpenAI socket if it is open
+    const sendToOpenAI = (event) => {
+        const openAiWs = getOpenAiWs();
+        if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+            openAiWs.send(JSON.stringify(event));
+            return true;
+        }
+        return false;
+    };
+
+    const clearDigitTimer = () => {
+        if (digitTimer) {
+            clearTimeout(digitTimer);
+            digitTimer = null;
+        }
+    };
+
+    // Hand the buffered digits to the conversation
+    const submitDigits = () => {
+        clearDigitTimer();
+        const digits = digitBuffer;
+        digitBuffer = '';
+        if (!digits) return;
+
+        const callState = getCallState();
+        const conversationLog = getConversationLog();
+        const input = { digits: digits, field: null, saved: false };
+
+        // Typed while the AI asked for the property ID: save it like save_caller_info would
+        if (isAskingForPropertyId(conversationLog)) {
+            applyCallerInfo({ property_id: digits }, callState);
+            input.field = 'property_id';
+            input.saved = true;
+        }
+
+        console.log(`[DTMF] Caller entered: ${digits}${input.saved ? ' (saved as property_id)' : ''}`);
+        callState.dtmf_inputs.push({ ...input, timestamp: new Date().toISOString() });
+        conversationLog.push({
+            role: 'user',
+            content: `[Keypad] ${digits}`,
+            source: 'dtmf',
+            timestamp: new Date().toISOString()
+        });
+
+        const instruction = input.saved
+            ? 'This is the caller\'s property ID and it has been saved. Confirm it back digit by digit and continue.'
+            : 'Treat this as the caller\'s answer to your last question (for example a menu option or number).';
+        const sent = sendToOpenAI({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: 'user',
+                content: [{ type: 'input_text', text: `[KEYPAD INPUT] ${JSON.stringify(input)} ${instruction}` }]
+            }
+        });
+        if (sent) {
+            sendToOpenAI({ type: 'response.create' });
+        } else {
+            console.log('[DTMF] OpenAI not connected - keypad input recorded only');
+        }
+    };
+
+    // Handle one transport `dtmf` event
+    const handleDigit = (digit) => {
+        if (digit === '#') {
+            submitDigits();
+            return;
+        }
+        if (digit === '*') {
+            clearDigitTimer();
+            digitBuffer = '';
+            console.log('[DTMF] Buffer cleared');
+            return;
+        }
+        if (!/^[0-9]$/.test(digit)) return;
+
+        digitBuffer += digit;
+        clearDigitTimer();
+        if (digitBuffer.length >= DTMF_SETTINGS.MAX_DIGITS) {
+            submitDigits();
+            return;
+        }
+        digitTimer = setTimeout(submitDigits, DTMF_SETTINGS.DIGIT_TIMEOUT);
+    };
+
+    return {
+        handleDigit,
+        clearTimers: clearDigitTimer,
+        getBuffer: () => digitBuffer
+    };
+};
@@ -1,9 +1,18 @@
 // AI Function call handlers
+// Each tool declares its schema, handler and timeout; handlers/tools.js registers them
+// Handlers receive (args, context) and return the function_call_output sent back to the AI
 
-import { getTwilioClient, endCall } from '../services/twilio.js';
+import WebSocket from 'ws';
+import { TOOL_SETTINGS } from '../config/index.js';
+import { getTwilioClient, endCall, transferCall } from '../services/twilio.js';
+import { sendTransferHandoffEmail } from '../services/email.js';
+import { redactTranscript } from '../services/redaction.js';
+import { searchKnowledgeBase } from '../services/knowledgeBase.js';
+import { checkFlowTransition } from '../services/flow.js';
+import { matchLanguage, getLanguageSettings, getSupportedLanguages } from '../services/languages.js';
 
-// Handle save_caller_info function call
-export const handleSaveCallerInfo = (args, callState, callerNumber, response, openAiWs) => {
+// Save caller details into callState (used by save_caller_info and keypad input)
+export const applyCallerInfo = (args, callState) => {
     // Update callState with provided information
     if (args.property_id) callState.property_id = args.property_id;
     if (args.property_name) callState.property_name = args.property_name;
@@ -18,6 +27,47 @@ export const handleSaveCallerInfo = (args, callState, callerNumber, response, op
     if (args.demo_preferred_time) callState.demo_preferred_time = args.demo_preferred_time;
     
     console.log('[CallState Updated]', callState);
+    return callState;
+};
+
+// Move the call to the flow state the AI reported, if the flow allows it
+// Accepted moves push the new state's instructions; rejected moves are recorded and explained to the AI
+const applyFlowTransition = (flow, requestedState, { callState, refreshInstructions }) => {
+    const fromState = callState.current_state;
+    const check = checkFlowTransition(flow, fromState, requestedState, callState);
+
+    if (!check.allowed) {
+        console.warn(`[Flow] ✗ Rejected ${fromState} -> ${requestedState}: ${check.error}`);
+        callState.flow_rejections.push({
+            from: fromState,
+            to: requestedState,
+            reason: check.error,
+            missing_slots: check.missing_slots,
+            timestamp: new Date().toISOString()
+        });
+        return {
+            accepted: false,
+            current_state: fromState,
+            error: check.error,
+            allowed_next_states: check.allowed_states
+        };
+    }
+
+    if (requestedState !== fromState) {
+        console.log(`[Flow] ✓ ${fromState} -> ${requestedState}`);
+        callState.current_state = requestedState;
+        callState.flow_path.push({ state: requestedState, from: fromState, entered_at: new Date().toISOString() });
+        if (refreshInstructions) refreshInstructions();
+    }
+    return { accepted: true, current_state: requestedState };
+};
+
+// Handle save_caller_info function call
+// With a flow, current_state is a requested move checked by the flow instead of a plain field
+export const handleSaveCallerInfo = (args, { callState, callerNumber, callSettings, refreshInstructions }) => {
+    const flow = callSettings?.flow || null;
+    const { current_state: requestedState, ...details } = args;
+    applyCallerInfo(flow ? details : args, callState);
     
     // Include caller phone last 3 digits so AI can reference it
     const phoneDigits = callerNumber ? callerNumber.replace(/[^0-9]/g, '') : '';
@@ -26,10 +76,14 @@ export const handleSaveCallerInfo = (args, callState, callerNumber, response, op
     
     const responseData = { 
         success: true, 
-        saved: args,
+        saved: flow ? details : args,
         caller_phone_last3: last3 || null,
         caller_phone_available: !!callerNumber
     };
+
+    if (flow && requestedState) {
+        responseData.flow = applyFlowTransition(flow, requestedState, { callState, refreshInstructions });
+    }
     
     // When demo is booked, add explicit spoken instruction with the digits
     if (args.intent === 'demo_booking' && last3) {
@@ -37,51 +91,28 @@ export const handleSaveCallerInfo = (args, callState, callerNumber, response, op
         responseData.INSTRUCTION = `You MUST say the above SPEAK_THIS text exactly, then WAIT for the caller's response. The last 3 digits of their phone number are ${last3Spaced}. Say each digit separately.`;
     }
     
-    // Send function result back to AI
-    const functionOutput = {
-        type: 'conversation.item.create',
-        item: {
-            type: 'function_call_output',
-            call_id: response.call_id,
-            output: JSON.stringify(responseData)
-        }
-    };
-    openAiWs.send(JSON.stringify(functionOutput));
-    openAiWs.send(JSON.stringify({ type: 'response.create' }));
-    
-    return callState;
+    return responseData;
 };
 
 // Handle route_call function call
-export const handleRouteCall = (args, callState, response, openAiWs) => {
+export const handleRouteCall = (args, { callState }) => {
     // Record routing decision
     callState.routing = args.routing;
     console.log(`[ROUTING DECISION] ${args.routing.toUpperCase()} - Reason: ${args.reason || 'Not specified'}`);
     
-    // Send function result back to AI
-    const functionOutput = {
-        type: 'conversation.item.create',
-        item: {
-            type: 'function_call_output',
-            call_id: response.call_id,
-            output: JSON.stringify({ success: true, routed_to: args.routing })
-        }
-    };
-    openAiWs.send(JSON.stringify(functionOutput));
-    openAiWs.send(JSON.stringify({ type: 'response.create' }));
-    
-    return callState;
+    return { success: true, routed_to: args.routing };
 };
 
 // Handle get_pricing_details function call
-export const handleGetPricingDetails = async (args, response, openAiWs) => {
+// Errors (and timeouts) are reported to the AI with the tool's errorMessage
+export const handleGetPricingDetails = async (args, { signal }) => {
     const propertyType = args.property_type || 'Hotel';
     console.log('[Function Call] get_pricing_details - Fetching rates for property type:', propertyType);
     
     try {
         // Call mock rates endpoint
         const ratesUrl = 'https://testserver.update247.com.au/testaj/mock_rates.php';
-        const ratesResponse = await fetch(ratesUrl);
+        const ratesResponse = await fetch(ratesUrl, { signal });
         
         if (!ratesResponse.ok) {
             throw new Error(`HTTP ${ratesResponse.status}: ${ratesResponse.statusText}`);
@@ -89,42 +120,22 @@ export const handleGetPricingDetails = async (args, response, openAiWs) => {
         
         const ratesData = await ratesResponse.json();
         console.log('[Pricing] Successfully fetched rates for property type:', propertyType);
-        
-        const functionOutput = {
-            type: 'conversation.item.create',
-            item: {
-                type: 'function_call_output',
-                call_id: response.call_id,
-                output: JSON.stringify(ratesData)
-            }
-        };
-        openAiWs.send(JSON.stringify(functionOutput));
-        openAiWs.send(JSON.stringify({ type: 'response.create' }));
+        return ratesData;
     } catch (error) {
         console.error('[Pricing] Failed to fetch pricing:', error.message);
-        
-        const errorOutput = {
-            type: 'conversation.item.create',
-            item: {
-                type: 'function_call_output',
-                call_id: response.call_id,
-                output: JSON.stringify({ error: 'Unable to retrieve pricing details. Please contact sales for current pricing.', details: error.message })
-            }
-        };
-        openAiWs.send(JSON.stringify(errorOutput));
-        openAiWs.send(JSON.stringify({ type: 'response.create' }));
+        throw error;
     }
 };
 
 // Handle get_interface_screenshots function call
-export const handleGetInterfaceScreenshots = async (args, response, openAiWs) => {
+export const handleGetInterfaceScreenshots = async (args, { signal }) => {
     const feature = args.feature || 'dashboard';
     console.log('[Function Call] get_interface_screenshots - Fetching screenshots for feature:', feature);
     
     try {
         // Call screenshots endpoint
         const screenshotsUrl = 'https://testserver.update247.com.au/testaj/mock_screenshots.php?feature=' + encodeURIComponent(feature);
-        const screenshotsResponse = await fetch(screenshotsUrl);
+        const screenshotsResponse = await fetch(screenshotsUrl, { signal });
         
         if (!screenshotsResponse.ok) {
             throw new Error(`HTTP ${screenshotsResponse.status}: ${screenshotsResponse.statusText}`);
@@ -132,36 +143,200 @@ export const handleGetInterfaceScreenshots = async (args, response, openAiWs) =>
         
         const screenshotsData = await screenshotsResponse.json();
         console.log('[Screenshots] Successfully fetched screenshots for feature:', feature);
-        
-        const functionOutput = {
-            type: 'conversation.item.create',
-            item: {
-                type: 'function_call_output',
-                call_id: response.call_id,
-                output: JSON.stringify(screenshotsData)
-            }
-        };
-        openAiWs.send(JSON.stringify(functionOutput));
-        openAiWs.send(JSON.stringify({ type: 'response.create' }));
+        return screenshotsData;
     } catch (error) {
         console.error('[Screenshots] Failed to fetch screenshots:', error.message);
-        
-        const errorOutput = {
-            type: 'conversation.item.create',
-            item: {
-                type: 'function_call_output',
-                call_id: response.call_id,
-                output: JSON.stringify({ error: 'Unable to retrieve interface screenshots. Please visit our website for demos.', details: error.message })
+        throw error;
+    }
+};
+
+// Handle search_knowledge_base function call
+// Each search is recorded in callState; the source IDs are attached to the agent's next answer in the transcript
+export const handleSearchKnowledgeBase = async (args, { callState }) => {
+    const query = String(args.query || '').trim();
+    if (!query) {
+        return { results: [], error: 'query is required' };
+    }
+
+    const results = await searchKnowledgeBase(query);
+    console.log(`[Knowledge Base] "${query}" -> ${results.length > 0 ? results.map(result => result.source_id).join(', ') : 'no matches'}`);
+
+    callState.knowledge_base_searches.push({
+        query: query,
+        results: results.map(result => ({ source_id: result.source_id, title: result.title, score: result.score })),
+        timestamp: new Date().toISOString()
+    });
+    callState.knowledge_base_pending_sources = results.length > 0 ? results.map(result => result.source_id) : null;
+
+    if (results.length === 0) {
+        return {
+            results: [],
+            INSTRUCTION: 'No help article matches this question. Do not guess - offer to pass the question to the support team.'
+        };
+    }
+
+    return {
+        results: results.map(result => ({ source_id: result.source_id, title: result.title, text: result.text })),
+        INSTRUCTION: 'Answer only from these passages, in short spoken sentences. If they do not answer the question, offer to pass it to the support team.'
+    };
+};
+
+// Send the conversation so far to the receiving team (email and/or webhook)
+const sendTransferHandoff = async (handoff, transferSettings, tenantEmails = []) => {
+    await sendTransferHandoffEmail(handoff, transferSettings.notify_email || tenantEmails.join(', ') || null);
+
+    if (transferSettings.webhook_url) {
+        try {
+            // Same redaction as the hand-off email (call IDs and the caller number stay so the team can call back)
+            const { callState, conversation, redaction } = redactTranscript({ callState: handoff.callState || {}, conversation: handoff.conversation || [] }, 'email');
+            const webhookResponse = await fetch(transferSettings.webhook_url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...handoff, callState: callState, conversation: conversation, redaction: redaction }),
+                signal: AbortSignal.timeout(TOOL_SETTINGS.WEBHOOK_TIMEOUT)
+            });
+            if (!webhookResponse.ok) {
+                throw new Error(`HTTP ${webhookResponse.status}: ${webhookResponse.statusText}`);
+            }
+            console.log('[Transfer] ✓ Hand-off webhook delivered');
+        } catch (error) {
+            console.error('[Transfer] ✗ Hand-off webhook failed:', error.message);
+        }
+    }
+};
+
+// Handle transfer_to_human function call
+export const handleTransferToHuman = async (args, { callState, callSid, callerNumber, conversationLog, callSettings, getOpenAiWs }) => {
+    const department = args.department === 'sales' ? 'sales' : 'support';
+    const transferSettings = callSettings.transfer || {};
+    const target = transferSettings[department] || null;
+    console.log(`[TRANSFER] Requested transfer to ${department.toUpperCase()} (${target || 'no target configured'}) - Reason: ${args.reason || 'Not specified'}`);
+
+    callState.transfer = {
+        department: department,
+        target: target,
+        reason: args.reason || null,
+        status: 'requested',
+        requested_at: new Date().toISOString(),
+        transferred_at: null,
+        error: null
+    };
+
+    // No one to transfer to (office closed, no target, no Twilio) - let the AI offer a callback instead
+    const officeClosed = callSettings.schedule_state && callSettings.schedule_state.is_open === false;
+    if (officeClosed || !target || !getTwilioClient() || !callSid) {
+        callState.transfer.status = 'unavailable';
+        if (officeClosed) {
+            callState.transfer.error = `Office closed (${callSettings.schedule_state.status})`;
+        } else {
+            callState.transfer.error = !target ? 'No transfer target configured' : 'Twilio client or callSid not available';
+        }
+
+        return {
+            success: false,
+            error: 'Live transfer is not available right now.',
+            INSTRUCTION: 'Apologise that nobody is available to take the call right now. Make sure you have the caller\'s name and contact details, and tell them the team will call them back.'
+        };
+    }
+
+    const handoffMessage = (transferSettings.handoff_message || 'Please hold while I transfer you.').replace('{department}', department);
+
+    // Give the receiving team the conversation so far (non-blocking)
+    sendTransferHandoff({
+        callSid: callSid,
+        callerNumber: callerNumber,
+        department: department,
+        target: target,
+        reason: args.reason || null,
+        callState: { ...callState },
+        conversation: [...conversationLog]
+    }, transferSettings, callSettings.notify_emails || []).catch(err => console.error('[Transfer] Hand-off error:', err.message));
+
+    // Let the hand-off line be spoken, then redirect the live call
+    setTimeout(async () => {
+        console.log('[TRANSFER] Redirecting call via Twilio...');
+
+        // Record the transfer before redirecting: the redirect ends the media stream, and the transcript
+        // may be saved before transferCall returns
+        const previousDisconnect = { disconnected_by: callState.disconnected_by, disconnect_reason: callState.disconnect_reason };
+        callState.transfer.status = 'transferred';
+        callState.transfer.transferred_at = new Date().toISOString();
+        callState.disconnected_by = 'transfer';
+        callState.disconnect_reason = `transferred_to_${department}`;
+
+        const result = await transferCall(callSid, target, { callerId: transferSettings.caller_id });
+
+        if (!result.success) {
+            callState.transfer.status = 'failed';
+            callState.transfer.transferred_at = null;
+            callState.transfer.error = result.error;
+            callState.disconnected_by = previousDisconnect.disconnected_by;
+            callState.disconnect_reason = previousDisconnect.disconnect_reason;
+
+            // The socket may have been replaced by session recovery during the delay
+            const openAiWs = getOpenAiWs();
+            if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+                const failurePrompt = {
+                    type: 'conversation.item.create',
+                    item: {
+                        type: 'message',
+                        role: 'user',
+                        content: [{ type: 'input_text', text: '[SYSTEM: The transfer failed. Apologise, tell the caller nobody is available right now, and offer a callback.]' }]
+                    }
+                };
+                openAiWs.send(JSON.stringify(failurePrompt));
+                openAiWs.send(JSON.stringify({ type: 'response.create' }));
             }
+        }
+    }, 6000); // 6 second delay to let the hand-off line be spoken
+
+    // Speak the hand-off line before the call is redirected
+    return {
+        success: true,
+        transferring_to: department,
+        SPEAK_THIS: handoffMessage,
+        INSTRUCTION: 'You MUST say the SPEAK_THIS text exactly, then stop talking. The call is being transferred.'
+    };
+};
+
+// Handle set_language function call
+// Switches the call's language: new instructions go to the session and Whisper transcribes in the new language
+export const handleSetLanguage = (args, { callState, callSettings, refreshInstructions }) => {
+    const supported = getSupportedLanguages(callSettings);
+    const language = matchLanguage(callSettings, args.language);
+    if (!language) {
+        console.warn(`[Language] ✗ Unsupported language requested: ${args.language}`);
+        return {
+            success: false,
+            error: `"${args.language}" is not a supported language`,
+            supported_languages: supported.map(l => l.name),
+            INSTRUCTION: `Apologise that you can only speak ${supported.map(l => l.name).join(', ')}, and continue in the current language.`
         };
-        openAiWs.send(JSON.stringify(errorOutput));
-        openAiWs.send(JSON.stringify({ type: 'response.create' }));
     }
+
+    const name = getLanguageSettings(callSettings, language).name;
+    if (language !== callState.language) {
+        console.log(`[Language] ${callState.language} -> ${language} - Reason: ${args.reason || 'Not specified'}`);
+        callState.language = language;
+        callState.languages.push({
+            language: language,
+            name: name,
+            started_at: new Date().toISOString(),
+            source: 'set_language',
+            reason: args.reason || null
+        });
+        if (refreshInstructions) refreshInstructions();
+    }
+
+    return { success: true, language: language, name: name, INSTRUCTION: `Continue the conversation in ${name}.` };
 };
 
 // Handle end_call function call
-export const handleEndCall = async (args, callState, callSid, response, openAiWs, connection) => {
+// transport: the call's media transport, closed if Twilio cannot hang up the call
+export const handleEndCall = async (args, { callState, callSid, transport }) => {
     const reason = args.reason || 'completed';
+    // Only Twilio transports can hang up through the REST API
+    const twilioCallSid = transport && transport.controlsCall ? callSid : null;
     console.log(`[END CALL] Ending call. Reason: ${reason}`);
     
     // Record the end reason and who disconnected in call state
@@ -170,42 +345,159 @@ export const handleEndCall = async (args, callState, callSid, response, openAiWs
     callState.disconnected_by = reason === 'inactivity' ? 'inactivity' : 'agent';
     callState.disconnect_reason = reason;
     
-    // Send function result back to AI with instruction to say goodbye
-    const functionOutput = {
-        type: 'conversation.item.create',
-        item: {
-            type: 'function_call_output',
-            call_id: response.call_id,
-            output: JSON.stringify({ 
-                success: true, 
-                SPEAK_THIS: 'Thank you for calling Update247. Have a great day. Bye for now!',
-                INSTRUCTION: 'You MUST say the SPEAK_THIS text exactly before the call ends.'
-            })
-        }
-    };
-    openAiWs.send(JSON.stringify(functionOutput));
-    openAiWs.send(JSON.stringify({ type: 'response.create' }));
-    
     // Give a longer delay for the AI's goodbye to be spoken, then hang up
     setTimeout(async () => {
         console.log('[END CALL] Hanging up via Twilio...');
         
         const twilioClient = getTwilioClient();
-        if (twilioClient && callSid) {
-            const result = await endCall(callSid);
+        if (twilioClient && twilioCallSid) {
+            const result = await endCall(twilioCallSid);
             if (!result.success) {
-                // Fallback: close the websocket
-                if (connection && connection.socket) {
-                    connection.socket.close();
+                // Fallback: close the media stream
+                if (transport) {
+                    transport.close();
                 }
             }
         } else {
-            console.log('[END CALL] No Twilio client or callSid available, closing websocket');
-            if (connection && connection.socket) {
-                connection.socket.close();
+            console.log('[END CALL] No Twilio client or callSid available, closing media stream');
+            if (transport) {
+                transport.close();
             }
         }
     }, 8000); // 8 second delay to let goodbye be spoken
     
-    return callState;
+    // Instruction to say goodbye
+    return { 
+        success: true, 
+        SPEAK_THIS: 'Thank you for calling Update247. Have a great day. Bye for now!',
+        INSTRUCTION: 'You MUST say the SPEAK_THIS text exactly before the call ends.'
+    };
 };
+
+// Built-in tool declarations (schema, handler, timeout)
+// timeoutMs / errorMessage are optional - see handlers/tools.js for the defaults
+export const BUILT_IN_TOOLS = [
+    {
+        name: "save_caller_info",
+        description: "Save caller information collected during the call. Call this function whenever you learn any caller details like property name/ID, caller name, email, or their issue.",
+        parameters: {
+            type: "object",
+            properties: {
+                property_id: { type: "string", description: "Property ID if mentioned (letters and digits only, no spaces)", pattern: TOOL_SETTINGS.PROPERTY_ID_PATTERN },
+                property_name: { type: "string", description: "Property name if mentioned" },
+                caller_name: { type: "string", description: "Caller's name" },
+                caller_email: { type: "string", description: "Caller's email address, e.g. name@example.com", format: "email" },
+                issue_description: { type: "string", description: "Brief description of their issue or question" },
+                is_existing_client: { type: "boolean", description: "Whether caller is an existing Update247 client" },
+                is_logged_in: { type: "boolean", description: "Whether caller is currently logged into Update247" },
+                current_state: { type: "string", description: "Flow state you are moving to (state ID from your instructions)" },
+                sales_need: { type: "string", description: "What the sales/new caller is looking for" },
+                demo_choice: { type: "string", description: "Demo preference: self_serve or book_demo", enum: ["self_serve", "book_demo"] },
+                demo_preferred_time: { type: "string", description: "Caller's preferred day and time for a booked demo" }
+            }
+        },
+        handler: handleSaveCallerInfo
+    },
+    {
+        name: "route_call",
+        description: "Record the routing decision once you've determined whether to route to Support or Sales.",
+        parameters: {
+            type: "object",
+            properties: {
+                routing: { 
+                    type: "string", 
+                    enum: ["support", "sales"],
+                    description: "Route to 'support' for existing clients or 'sales' for new prospects" 
+                },
+                reason: { type: "string", description: "Brief reason for routing decision" }
+            },
+            required: ["routing"]
+        },
+        handler: handleRouteCall
+    },
+    {
+        name: "get_pricing_details",
+        description: "Fetch current Update247 software pricing and plans. Call this when caller asks about pricing, plans, or costs. Property types: Hotel or Vacational Rental.",
+        parameters: {
+            type: "object",
+            properties: {
+                property_type: { type: "string", description: "Property type: Hotel or Vacational Rental", enum: ["Hotel", "Vacational Rental"] }
+            },
+            required: ["property_type"]
+        },
+        handler: handleGetPricingDetails,
+        timeoutMs: 8000,
+        errorMessage: 'Unable to retrieve pricing details. Please contact sales for current pricing.'
+    },
+    {
+        name: "get_interface_screenshots",
+        description: "Get screenshots of the Update247 interface. Call this when caller wants to see what the software looks like or see interface examples.",
+        parameters: {
+            type: "object",
+            properties: {
+                feature: { type: "string", description: "Feature to show: dashboard, bookings, reports, or settings", enum: ["dashboard", "bookings", "reports", "settings"] }
+            },
+            required: ["feature"]
+        },
+        handler: handleGetInterfaceScreenshots,
+        timeoutMs: 8000,
+        errorMessage: 'Unable to retrieve interface screenshots. Please visit our website for demos.'
+    },
+    {
+        name: "search_knowledge_base",
+        description: "Search the Update247 help articles. Call this before answering any 'how do I' or troubleshooting question (channel mapping, rates, availability, bookings, settings) and answer from the passages it returns.",
+        parameters: {
+            type: "object",
+            properties: {
+                query: { type: "string", description: "The caller's question or the key words of their problem" }
+            },
+            required: ["query"]
+        },
+        handler: handleSearchKnowledgeBase,
+        errorMessage: 'Unable to search the help articles right now. Offer to pass the question to the support team.'
+    },
+    {
+        name: "transfer_to_human",
+        description: "Transfer the caller to a human Update247 team member. Call this when the caller asks to speak to a person, or when the issue needs a human. Returns a hand-off line that you must say before the transfer happens.",
+        parameters: {
+            type: "object",
+            properties: {
+                department: {
+                    type: "string",
+                    enum: ["support", "sales"],
+                    description: "Team to transfer to: 'support' for existing clients, 'sales' for new prospects"
+                },
+                reason: { type: "string", description: "Brief reason the caller needs a human" }
+            },
+            required: ["department"]
+        },
+        handler: handleTransferToHuman
+    },
+    {
+        name: "set_language",
+        description: "Switch the conversation language. Call this when the caller speaks, or asks to speak, a different language from the one you are using, then continue in that language.",
+        parameters: {
+            type: "object",
+            properties: {
+                language: { type: "string", description: "Language code or name, e.g. hi or Hindi (one of the supported languages in your instructions)" },
+                reason: { type: "string", description: "Why the language is changing, e.g. caller asked, caller is speaking Hindi" }
+            },
+            required: ["language"]
+        },
+        handler: handleSetLanguage,
+        // Only offered when the agent settings configure more than one language
+        available: (callSettings) => getSupportedLanguages(callSettings).length > 1
+    },
+    {
+        name: "end_call",
+        description: "End the call politely. Call this AFTER saying goodbye to the caller. Use when: caller says bye/goodbye/thank you that's all/nothing else, OR when conversation is complete and caller has no more questions.",
+        parameters: {
+            type: "object",
+            properties: {
+                reason: { type: "string", description: "Reason for ending call: completed, caller_goodbye, no_more_questions, escalated" }
+            },
+            required: ["reason"]
+        },
+        handler: handleEndCall
+    }
+];
@@ -1,12 +1,22 @@
 // Inactivity detection and handling
 
+import WebSocket from 'ws';
 import { INACTIVITY_SETTINGS } from '../config/index.js';
 
 // Create inactivity handler for a call session
-export const createInactivityHandler = (openAiWs) => {
+// getOpenAiWs returns the call's current OpenAI socket (it may not be open yet, or may be replaced)
+export const createInactivityHandler = (getOpenAiWs) => {
     let inactivityTimer = null;
     let inactivityWarningCount = 0;
 
+    // Send a prompt to the current OpenAI socket if it is open
+    const sendToOpenAI = (event) => {
+        const openAiWs = getOpenAiWs();
+        if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+            openAiWs.send(JSON.stringify(event));
+        }
+    };
+
     // Start inactivity timer after AI finishes speaking
     const startInactivityTimer = () => {
         // Clear any existing timer
@@ -41,8 +51,8 @@ export const createInactivityHandler = (openAiWs) => {
                         content: [{ type: 'input_text', text: '[SYSTEM: Caller has been silent for 1 minute. Ask them: Are you still there?]' }]
                     }
                 };
-                openAiWs.send(JSON.stringify(prompt));
-                openAiWs.send(JSON.stringify({ type: 'response.create' }));
+                sendToOpenAI(prompt);
+                sendToOpenAI({ type: 'response.create' });
                 
             } else if (inactivityWarningCount === 2) {
                 // Final warning
@@ -55,8 +65,8 @@ export const createInactivityHandler = (openAiWs) => {
                         content: [{ type: 'input_text', text: '[SYSTEM: Caller still silent. Say: I have not heard from you. I will end the call now if you do not need anything else.]' }]
                     }
                 };
-                openAiWs.send(JSON.stringify(prompt));
-                openAiWs.send(JSON.stringify({ type: 'response.create' }));
+                sendToOpenAI(prompt);
+                sendToOpenAI({ type: 'response.create' });
                 
             } else {
                 // Hangup
@@ -69,8 +79,8 @@ export const createInactivityHandler = (openAiWs) => {
                         content: [{ type: 'input_text', text: '[SYSTEM: Caller has not responded. Say goodbye and call the end_call function with reason "inactivity".]' }]
                     }
                 };
-                openAiWs.send(JSON.stringify(prompt));
-                openAiWs.send(JSON.stringify({ type: 'response.create' }));
+                sendToOpenAI(prompt);
+                sendToOpenAI({ type: 'response.create' });
             }
         }, timeout);
     };
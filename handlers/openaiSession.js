@@ -1,89 +1,74 @@
 // OpenAI session configuration and tools
 
-import { OPENAI_API_KEY } from '../config/index.js';
-
-// Get the OpenAI tools configuration
-export const getOpenAITools = () => {
-    return [
-        {
-            type: "function",
-            name: "save_caller_info",
-            description: "Save caller information collected during the call. Call this function whenever you learn any caller details like property name/ID, caller name, email, or their issue.",
-            parameters: {
-                type: "object",
-                properties: {
-                    property_id: { type: "string", description: "Property ID if mentioned" },
-                    property_name: { type: "string", description: "Property name if mentioned" },
-                    caller_name: { type: "string", description: "Caller's name" },
-                    caller_email: { type: "string", description: "Caller's email address" },
-                    issue_description: { type: "string", description: "Brief description of their issue or question" },
-                    is_existing_client: { type: "boolean", description: "Whether caller is an existing Update247 client" },
-                    is_logged_in: { type: "boolean", description: "Whether caller is currently logged into Update247" },
-                    current_state: { type: "string", description: "Current state in the flow (A-H)" },
-                    sales_need: { type: "string", description: "What the sales/new caller is looking for" },
-                    demo_choice: { type: "string", description: "Demo preference: self_serve or book_demo", enum: ["self_serve", "book_demo"] },
-                    demo_preferred_time: { type: "string", description: "Caller's preferred day and time for a booked demo" }
-                }
-            }
-        },
-        {
-            type: "function",
-            name: "route_call",
-            description: "Record the routing decision once you've determined whether to route to Support or Sales.",
-            parameters: {
-                type: "object",
-                properties: {
-                    routing: { 
-                        type: "string", 
-                        enum: ["support", "sales"],
-                        description: "Route to 'support' for existing clients or 'sales' for new prospects" 
-                    },
-                    reason: { type: "string", description: "Brief reason for routing decision" }
-                },
-                required: ["routing"]
-            }
-        },
-        {
-            type: "function",
-            name: "get_pricing_details",
-            description: "Fetch current Update247 software pricing and plans. Call this when caller asks about pricing, plans, or costs. Property types: Hotel or Vacational Rental.",
-            parameters: {
-                type: "object",
-                properties: {
-                    property_type: { type: "string", description: "Property type: Hotel or Vacational Rental", enum: ["Hotel", "Vacational Rental"] }
-                },
-                required: ["property_type"]
-            }
-        },
-        {
-            type: "function",
-            name: "get_interface_screenshots",
-            description: "Get screenshots of the Update247 interface. Call this when caller wants to see what the software looks like or see interface examples.",
-            parameters: {
-                type: "object",
-                properties: {
-                    feature: { type: "string", description: "Feature to show: dashboard, bookings, reports, or settings", enum: ["dashboard", "bookings", "reports", "settings"] }
-                },
-                required: ["feature"]
-            }
-        },
-        {
-            type: "function",
-            name: "end_call",
-            description: "End the call politely. Call this AFTER saying goodbye to the caller. Use when: caller says bye/goodbye/thank you that's all/nothing else, OR when conversation is complete and caller has no more questions.",
-            parameters: {
-                type: "object",
-                properties: {
-                    reason: { type: "string", description: "Reason for ending call: completed, caller_goodbye, no_more_questions, escalated" }
-                },
-                required: ["reason"]
-            }
+import { OPENAI_API_KEY, OPENAI_BASE_URL, DEFAULT_AGENT_SETTINGS } from '../config/index.js';
+import { getToolDefinitions } from './tools.js';
+import { getFlowInstructions } from '../services/flow.js';
+import { getLanguageSettings, getLanguageInstructions } from '../services/languages.js';
+
+// Appended to every session so the AI knows how keypad (DTMF) input reaches it
+const KEYPAD_INSTRUCTIONS = `
+
+KEYPAD INPUT: Callers can type on their phone keypad instead of speaking. Keypad digits arrive as a [KEYPAD INPUT] message. When you ask for a property ID you may tell the caller they can type it on the keypad and press hash.`;
+
+const TURN_DETECTION_TYPES = ['server_vad', 'semantic_vad'];
+const VAD_EAGERNESS = ['low', 'medium', 'high', 'auto'];
+
+// Check a turn_detection settings object (agent file, tenant override or per-call request)
+// Returns an error message, or null when valid
+export const validateTurnDetection = (turnDetection) => {
+    if (!turnDetection || typeof turnDetection !== 'object' || Array.isArray(turnDetection)) {
+        return 'turn_detection must be an object';
+    }
+    const { type, threshold, prefix_padding_ms, silence_duration_ms, eagerness } = turnDetection;
+    if (type !== undefined && !TURN_DETECTION_TYPES.includes(type)) {
+        return `turn_detection.type must be one of: ${TURN_DETECTION_TYPES.join(', ')}`;
+    }
+    if (threshold !== undefined && !(typeof threshold === 'number' && threshold >= 0 && threshold <= 1)) {
+        return 'turn_detection.threshold must be a number from 0 to 1';
+    }
+    for (const [key, value] of Object.entries({ prefix_padding_ms, silence_duration_ms })) {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= 10000)) {
+            return `turn_detection.${key} must be a whole number of milliseconds (0-10000)`;
         }
-    ];
+    }
+    if (eagerness !== undefined && !VAD_EAGERNESS.includes(eagerness)) {
+        return `turn_detection.eagerness must be one of: ${VAD_EAGERNESS.join(', ')}`;
+    }
+    return null;
+};
+
+// Build the OpenAI turn_detection object from settings (defaults when invalid)
+export const buildTurnDetection = (turnDetection) => {
+    let settings = { ...DEFAULT_AGENT_SETTINGS.turn_detection, ...(turnDetection || {}) };
+    const error = validateTurnDetection(settings);
+    if (error) {
+        console.error(`[Session] ✗ Invalid turn detection settings (${error}) - using defaults`);
+        settings = DEFAULT_AGENT_SETTINGS.turn_detection;
+    }
+
+    if (settings.type === 'semantic_vad') {
+        return { type: 'semantic_vad', eagerness: settings.eagerness };
+    }
+    return {
+        type: 'server_vad',
+        threshold: settings.threshold,
+        prefix_padding_ms: settings.prefix_padding_ms,
+        silence_duration_ms: settings.silence_duration_ms
+    };
+};
+
+// Session instructions: system message, keypad note, the current language and (with a flow) the current state's step
+const buildInstructions = (callSettings, { flowState = null, language = null } = {}) => {
+    const flowInstructions = callSettings.flow && flowState ? getFlowInstructions(callSettings.flow, flowState) : '';
+    return `${callSettings.system_message || ''}${KEYPAD_INSTRUCTIONS}${getLanguageInstructions(callSettings, language)}${flowInstructions}`;
 };
 
 // Create session update configuration
-export const createSessionUpdate = (callSettings) => {
+// audioFormat: the media transport's audio format (Twilio: µ-law 8 kHz)
+// conversation: { flowState, language } - current flow state (when callSettings.flow is set) and call language
+export const createSessionUpdate = (callSettings, audioFormat = { type: 'audio/pcmu' }, conversation = {}) => {
+    // The voice cannot change once the session has spoken, so a language's voice applies from session start
+    const voice = (conversation.language && getLanguageSettings(callSettings, conversation.language).voice) || callSettings.voice;
     return {
         type: 'session.update',
         session: {
@@ -91,16 +76,27 @@ export const createSessionUpdate = (callSettings) => {
             model: "gpt-realtime",
             output_modalities: ["audio"],
             audio: {
-                input: { format: { type: 'audio/pcmu' }, turn_detection: { type: "server_vad" } },
-                output: { format: { type: 'audio/pcmu' }, voice: callSettings.voice },
+                input: { format: audioFormat, turn_detection: buildTurnDetection(callSettings.turn_detection) },
+                output: { format: audioFormat, voice: voice },
             },
-            instructions: callSettings.system_message,
-            tools: getOpenAITools(),
+            instructions: buildInstructions(callSettings, conversation),
+            tools: getToolDefinitions(callSettings),
             tool_choice: "auto"
         }
     };
 };
 
+// Instructions-only session update, sent when the call moves to a new flow state or language
+export const createInstructionsUpdate = (callSettings, conversation = {}) => {
+    return {
+        type: 'session.update',
+        session: {
+            type: 'realtime',
+            instructions: buildInstructions(callSettings, conversation)
+        }
+    };
+};
+
 // Create initial conversation item (greeting)
 export const createInitialGreeting = (greetingText) => {
     return {
@@ -118,9 +114,60 @@ export const createInitialGreeting = (greetingText) => {
     };
 };
 
-// Get OpenAI WebSocket URL
+// Ids of items replayed after a reconnect (so they are not logged to the transcript again)
+export const RECOVERY_ITEM_PREFIX = 'recovery_';
+
+// Call details worth restoring after a reconnect (empty values left out)
+const summarizeCallState = (callState) => {
+    const fields = [
+        'caller_name', 'caller_email', 'property_id', 'property_name', 'is_existing_client', 'is_logged_in',
+        'issue_description', 'routing', 'current_state', 'sales_need', 'demo_choice', 'demo_preferred_time', 'direction'
+    ];
+    const summary = {};
+    fields.forEach((field) => {
+        if (callState[field] !== null && callState[field] !== undefined && callState[field] !== '') {
+            summary[field] = callState[field];
+        }
+    });
+    if (callState.transfer) summary.transfer_status = callState.transfer.status;
+    return summary;
+};
+
+// Conversation items that rebuild a dropped session: the call so far, the saved call details,
+// then an instruction to acknowledge the hiccup (send response.create after these)
+export const createRecoveryItems = (conversationLog, callState, maxItems) => {
+    const messages = conversationLog
+        .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+        .slice(-maxItems);
+
+    const items = messages.map((entry, index) => ({
+        type: 'conversation.item.create',
+        item: {
+            id: `${RECOVERY_ITEM_PREFIX}${index}`,
+            type: 'message',
+            role: entry.role,
+            content: [{ type: entry.role === 'assistant' ? 'output_text' : 'input_text', text: entry.content }]
+        }
+    }));
+
+    items.push({
+        type: 'conversation.item.create',
+        item: {
+            id: `${RECOVERY_ITEM_PREFIX}state`,
+            type: 'message',
+            role: 'system',
+            content: [{
+                type: 'input_text',
+                text: `Your voice connection dropped briefly and has been restored. The messages above are the conversation so far. Details already collected (do not ask for these again): ${JSON.stringify(summarizeCallState(callState))}. Briefly tell the caller there was a small hiccup on the line, then continue from where the conversation left off.`
+            }]
+        }
+    });
+    return items;
+};
+
+// Get OpenAI WebSocket URL (OPENAI_BASE_URL with http(s) -> ws(s))
 export const getOpenAIWebSocketUrl = (temperature) => {
-    return `wss://api.openai.com/v1/realtime?model=gpt-realtime&temperature=${temperature}`;
+    return `${OPENAI_BASE_URL.replace(/^http/, 'ws')}/realtime?model=gpt-realtime&temperature=${temperature}`;
 };
 
 // Get OpenAI WebSocket headers
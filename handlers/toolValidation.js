@@ -0,0 +1,112 @@
+// Tool argument validation against the tool's declared JSON schema (the `parameters` sent to OpenAI)
+// Supports the keywords tool definitions use: type, properties, required, enum, pattern, format (email),
+// minLength / maxLength, minimum / maximum, items, minItems / maxItems and additionalProperties
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const FORMATS = {
+    email: { test: (value) => EMAIL_PATTERN.test(value), error: 'must be an email address like name@example.com' }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Patterns come from settings files (webhook_tools), so a broken one is skipped instead of failing every call
+const testPattern = (pattern, value) => {
+    try {
+        return new RegExp(pattern).test(value);
+    } catch (err) {
+        console.error(`[Tools] ✗ Ignoring invalid pattern ${pattern}: ${err.message}`);
+        return true;
+    }
+};
+
+// Check one value against its schema; problems are pushed to result.errors as { field, error, received }
+const checkValue = (value, schema, field, result) => {
+    if (!schema || typeof schema !== 'object') return value;
+    const fail = (error) => result.errors.push({ field: field, error: error, received: value });
+
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => matchesType(value, type))) {
+        fail(`must be ${types.join(' or ')}`);
+        return value;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !testPattern(schema.pattern, value)) fail(`does not match the expected format ${schema.pattern}`);
+        const format = FORMATS[schema.format];
+        if (format && !format.test(value)) fail(format.error);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be ${schema.minimum} or more`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ${schema.maximum} or less`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        return value.map((item, index) => checkValue(item, schema.items, `${field}[${index}]`, result));
+    }
+    if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        return checkObject(value, schema, field, result);
+    }
+    return value;
+};
+
+// Check an object's properties
+// Strings are trimmed and empty values dropped (a required one is then reported missing)
+// Fields the schema does not declare are dropped (rejected with additionalProperties: false),
+// unless the schema declares no properties at all
+const checkObject = (value, schema, path, result) => {
+    const properties = schema.properties || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const checked = {};
+
+    for (const [key, raw] of Object.entries(value)) {
+        const field = path ? `${path}.${key}` : key;
+        const item = typeof raw === 'string' ? raw.trim() : raw;
+        if (item === '' || item === null) continue;
+
+        if (properties[key]) {
+            checked[key] = checkValue(item, properties[key], field, result);
+        } else if (schema.additionalProperties === false) {
+            result.errors.push({ field: field, error: 'is not a known field', received: item });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            checked[key] = checkValue(item, schema.additionalProperties, field, result);
+        } else if (Object.keys(properties).length === 0) {
+            checked[key] = item;
+        } else {
+            result.ignored.push(field);
+        }
+    }
+
+    for (const key of required) {
+        if (checked[key] === undefined) {
+            result.errors.push({ field: path ? `${path}.${key}` : key, error: 'is required' });
+        }
+    }
+    return checked;
+};
+
+// Validate a tool call's parsed arguments
+// Returns { args, errors, ignored }: args are the cleaned values to pass to the handler (only when errors is empty)
+export const validateToolArguments = (schema, args) => {
+    const result = { errors: [], ignored: [] };
+    if (typeOf(args) !== 'object') {
+        result.errors.push({ field: '(arguments)', error: 'must be a JSON object', received: args });
+        return { args: {}, ...result };
+    }
+    const checked = checkObject(args, schema && typeof schema === 'object' ? schema : {}, '', result);
+    return { args: checked, ...result };
+};
@@ -0,0 +1,228 @@
+// AI tool registry and executor
+// A tool is { name, description, parameters, handler(args, context), timeoutMs?, errorMessage?, available?(callSettings) }
+// Built-in tools are registered at startup; webhook_tools in agent settings add HTTP-backed tools per tenant
+
+import WebSocket from 'ws';
+import { TOOL_SETTINGS } from '../config/index.js';
+import { BUILT_IN_TOOLS } from './functions.js';
+import { validateToolArguments } from './toolValidation.js';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Built-in tools keyed by name
+const toolRegistry = {};
+
+// Invalid webhook tool definitions already reported (logged once, not on every call)
+const reportedInvalidTools = new Set();
+
+// Register a built-in tool
+export const registerTool = (tool) => {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '') || typeof tool.handler !== 'function') {
+        throw new Error(`Invalid tool definition: ${tool && tool.name}`);
+    }
+    if (toolRegistry[tool.name]) {
+        console.warn(`[Tools] Replacing registered tool: ${tool.name}`);
+    }
+    toolRegistry[tool.name] = tool;
+};
+
+BUILT_IN_TOOLS.forEach(registerTool);
+
+// Replace {env:NAME} in webhook URLs and headers so secrets stay out of settings files
+const fillEnv = (value) => String(value).replace(/\{env:([A-Z0-9_]+)\}/g, (match, name) => process.env[name] || '');
+
+// Call a webhook tool's endpoint and return its JSON (or text) response
+const callToolWebhook = async (definition, args, { callSid, callerNumber, callState, signal }) => {
+    const webhook = definition.webhook;
+    const method = String(webhook.method || 'POST').toUpperCase();
+    const url = new URL(fillEnv(webhook.url));
+    const headers = {};
+    Object.entries(webhook.headers || {}).forEach(([key, value]) => {
+        headers[key] = fillEnv(value);
+    });
+
+    const options = { method, headers, signal };
+    if (method === 'GET') {
+        Object.entries(args).forEach(([key, value]) => url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value)));
+    } else {
+        headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify({
+            tool: definition.name,
+            arguments: args,
+            call: {
+                call_sid: callSid || null,
+                caller_number: callerNumber || null,
+                tenant_id: callState?.tenant?.id || null
+            }
+        });
+    }
+
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    return contentType.includes('json') ? response.json() : { result: await response.text() };
+};
+
+// Build a tool from an agent settings webhook_tools entry (null if invalid)
+// { name, description, parameters, webhook: { url, method, headers, timeout_ms }, error_message }
+const createWebhookTool = (definition) => {
+    const name = definition && definition.name;
+    let problem = null;
+    if (!TOOL_NAME_PATTERN.test(name || '')) {
+        problem = 'name must be 1-64 letters, digits, _ or -';
+    } else if (toolRegistry[name]) {
+        problem = 'name is already used by a built-in tool';
+    } else if (!definition.webhook || !definition.webhook.url) {
+        problem = 'webhook.url is required';
+    }
+
+    if (problem) {
+        const key = `${name}:${problem}`;
+        if (!reportedInvalidTools.has(key)) {
+            reportedInvalidTools.add(key);
+            console.error(`[Tools] ✗ Ignoring webhook tool "${name || '(unnamed)'}": ${problem}`);
+        }
+        return null;
+    }
+
+    return {
+        name: name,
+        description: definition.description || '',
+        parameters: definition.parameters || { type: 'object', properties: {} },
+        handler: (args, context) => callToolWebhook(definition, args, context),
+        timeoutMs: definition.webhook.timeout_ms || TOOL_SETTINGS.WEBHOOK_TIMEOUT,
+        errorMessage: definition.error_message || null,
+        source: 'webhook'
+    };
+};
+
+// Tools available on a call: built-ins plus the tenant's webhook tools,
+// limited to callSettings.tools (per-tenant enabled list) when set
+// Built-ins with an available() check are left out when it returns false for the call's settings
+export const getCallTools = (callSettings = {}) => {
+    const tools = {};
+    Object.values(toolRegistry).forEach((tool) => {
+        if (!tool.available || tool.available(callSettings)) tools[tool.name] = tool;
+    });
+    (callSettings.webhook_tools || []).forEach((definition) => {
+        const tool = createWebhookTool(definition);
+        if (tool) tools[tool.name] = tool;
+    });
+
+    const enabledTools = callSettings.tools;
+    if (Array.isArray(enabledTools)) {
+        Object.keys(tools).forEach((name) => {
+            if (!enabledTools.includes(name)) delete tools[name];
+        });
+    }
+    return tools;
+};
+
+// OpenAI session.update tool definitions for a call
+export const getToolDefinitions = (callSettings = {}) => {
+    return Object.values(getCallTools(callSettings)).map((tool) => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+    }));
+};
+
+// Run a handler, failing once the tool's timeout passes (aborts in-flight fetches)
+const runWithTimeout = async (tool, args, context) => {
+    const timeoutMs = tool.timeoutMs || TOOL_SETTINGS.DEFAULT_TIMEOUT;
+    const controller = new AbortController();
+    let timer = null;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([tool.handler(args, { ...context, signal: controller.signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Send a tool result to the AI and ask it to continue
+const sendToolOutput = (openAiWs, callId, output) => {
+    if (!openAiWs || openAiWs.readyState !== WebSocket.OPEN) {
+        console.log(`[Tools] OpenAI not connected - result for ${callId} dropped`);
+        return;
+    }
+    openAiWs.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+            type: 'function_call_output',
+            call_id: callId,
+            output: JSON.stringify(output)
+        }
+    }));
+    openAiWs.send(JSON.stringify({ type: 'response.create' }));
+};
+
+// Tool output for arguments that failed validation: the handler did not run, and the AI is told what to fix
+const createInvalidArgumentsOutput = (functionName, errors) => ({
+    success: false,
+    error: `Invalid arguments for ${functionName}. Nothing was saved or done.`,
+    invalid_fields: errors,
+    INSTRUCTION: 'Do not guess values. If a value came from the caller, ask them to repeat or spell it, then call the tool again with the corrected values.'
+});
+
+// Handle a response.function_call_arguments.done event: validate the arguments, run the tool and send its output
+// context: { callState, callSid, callerNumber, conversationLog, callSettings, transport, openAiWs, getOpenAiWs, refreshInstructions }
+export const executeToolCall = async (response, context) => {
+    const functionName = response.name;
+    const tool = getCallTools(context.callSettings)[functionName];
+
+    let args = {};
+    try {
+        args = JSON.parse(response.arguments || '{}');
+    } catch (error) {
+        console.error(`[Function Call] ${functionName} - invalid arguments:`, response.arguments);
+        sendToolOutput(context.openAiWs, response.call_id, createInvalidArgumentsOutput(functionName, [{ field: '(arguments)', error: 'must be a JSON object' }]));
+        return;
+    }
+    console.log(`[Function Call] ${functionName}`, args);
+
+    if (!tool) {
+        console.error(`[Function Call] ✗ Unknown or disabled tool: ${functionName}`);
+        sendToolOutput(context.openAiWs, response.call_id, { error: `Tool ${functionName} is not available.` });
+        return;
+    }
+
+    // Check the arguments against the tool's declared schema before anything reaches the handler
+    const validation = validateToolArguments(tool.parameters, args);
+    if (validation.ignored.length > 0) {
+        console.warn(`[Function Call] ${functionName} - ignoring undeclared fields: ${validation.ignored.join(', ')}`);
+    }
+    if (validation.errors.length > 0) {
+        console.warn(`[Function Call] ✗ ${functionName} - invalid arguments: ${validation.errors.map(e => `${e.field} ${e.error}`).join('; ')}`);
+        if (context.callState) {
+            context.callState.invalid_tool_calls.push({ name: functionName, errors: validation.errors, timestamp: new Date().toISOString() });
+        }
+        sendToolOutput(context.openAiWs, response.call_id, createInvalidArgumentsOutput(functionName, validation.errors));
+        return;
+    }
+    args = validation.args;
+
+    let output;
+    try {
+        output = await runWithTimeout(tool, args, context);
+    } catch (error) {
+        console.error(`[Function Call] ✗ ${functionName} failed:`, error.message);
+        output = {
+            error: tool.errorMessage || `Unable to complete ${functionName} right now.`,
+            details: error.message
+        };
+    }
+
+    sendToolOutput(context.openAiWs, response.call_id, output === undefined ? { success: true } : output);
+};
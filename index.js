@@ -8,6 +8,9 @@
  * - services/       - External service integrations (Twilio, GCS, Email, etc.)
  * - handlers/       - Business logic handlers (function calls, inactivity, etc.)
  * - routes/         - HTTP and WebSocket route handlers
+ * - public/         - Static browser test page (/web-call/test)
+ * - transports/     - Media stream framing (Twilio, plain PCM)
+ * - mock/           - Offline development: scripted mock Realtime API and Twilio caller
  * - utils/          - Utility functions and helpers
  */
 
@@ -19,13 +22,24 @@ import fastifyWs from '@fastify/websocket';
 import { PORT, validateConfig } from './config/index.js';
 
 // Import services
-import { initializeStorage, loadAgentSettings } from './services/storage.js';
+import { initializeStorage } from './services/storage.js';
 import { initializeTwilio } from './services/twilio.js';
 import { initializeEmail } from './services/email.js';
+import { loadTenants, startSettingsReload } from './services/tenants.js';
+import { loadScreening } from './services/screening.js';
+import { loadKnowledgeBase } from './services/knowledgeBase.js';
 
 // Import routes
 import { registerIncomingCallRoute } from './routes/incoming-call.js';
 import { registerMediaStreamRoute } from './routes/media-stream.js';
+import { registerVoicemailRoutes } from './routes/voicemail.js';
+import { registerOutboundCallRoutes } from './routes/outbound-call.js';
+import { registerCallStatusRoute } from './routes/call-status.js';
+import { registerRecordingRoutes } from './routes/recording.js';
+import { registerMetricsRoute } from './routes/metrics.js';
+import { registerWebCallRoutes } from './routes/web-call.js';
+import { registerExperimentRoutes } from './routes/experiments.js';
+import { registerAdminRoutes } from './routes/admin.js';
 
 // Validate configuration
 validateConfig();
@@ -43,7 +57,16 @@ fastify.get('/', async (request, reply) => {
         endpoints: {
             health: '/',
             incomingCall: '/incoming-call',
-            mediaStream: '/media-stream (WebSocket)'
+            mediaStream: '/media-stream (WebSocket)',
+            mediaStreamPcm: '/media-stream/pcm (WebSocket, API key)',
+            voicemailComplete: '/voicemail-complete',
+            outboundCall: '/outbound-call (POST, API key)',
+            callStatus: '/call-status',
+            recordingStatus: '/recording-status',
+            metrics: '/metrics',
+            webCall: '/web-call (WebSocket, API key) + /web-call/test page',
+            experimentsReport: '/experiments/report (admin API key)',
+            adminSettings: '/admin/settings/:kind (admin API key)'
         }
     });
 });
@@ -65,18 +88,41 @@ const start = async () => {
         console.log('\n[3/4] Initializing email service...');
         initializeEmail();
 
-        console.log('\n[4/4] Loading agent settings...');
-        const agentSettings = await loadAgentSettings();
-        console.log('  ✓ Voice:', agentSettings.voice);
-        console.log('  ✓ Temperature:', agentSettings.temperature);
-        console.log('  ✓ System message length:', agentSettings.system_message?.length || 0);
+        console.log('\n[4/4] Loading tenants and agent settings...');
+        const tenants = await loadTenants();
+        tenants.forEach((tenant) => {
+            console.log(`  ✓ ${tenant.id} (${tenant.name}) - numbers: ${tenant.numbers.length > 0 ? tenant.numbers.join(', ') : 'default'}`);
+            console.log('    Voice:', tenant.settings.voice, '| Temperature:', tenant.settings.temperature, '| System message length:', tenant.settings.system_message?.length || 0);
+            console.log('    Schedule:', tenant.settings.schedule ? tenant.settings.schedule.timezone : 'not configured (always open)');
+            console.log('    Experiment:', tenant.settings.experiment ? `${tenant.settings.experiment.id} (${tenant.settings.experiment.variants.length} variants)` : 'none');
+        });
+        startSettingsReload();
+        await loadScreening(true);
+        await loadKnowledgeBase(true);
 
         // Register routes
         console.log('\nRegistering routes...');
         registerIncomingCallRoute(fastify);
-        registerMediaStreamRoute(fastify, agentSettings);
+        registerMediaStreamRoute(fastify);
+        registerVoicemailRoutes(fastify);
+        registerOutboundCallRoutes(fastify);
+        registerCallStatusRoute(fastify);
+        registerRecordingRoutes(fastify);
+        registerMetricsRoute(fastify);
+        registerWebCallRoutes(fastify);
+        registerExperimentRoutes(fastify);
+        registerAdminRoutes(fastify);
         console.log('  ✓ /incoming-call');
         console.log('  ✓ /media-stream');
+        console.log('  ✓ /media-stream/pcm');
+        console.log('  ✓ /voicemail-complete');
+        console.log('  ✓ /outbound-call');
+        console.log('  ✓ /call-status');
+        console.log('  ✓ /recording-status');
+        console.log('  ✓ /metrics');
+        console.log('  ✓ /web-call');
+        console.log('  ✓ /experiments/report');
+        console.log('  ✓ /admin/settings');
 
         // Start server
         await fastify.listen({ port: PORT, host: '0.0.0.0' });
@@ -0,0 +1,393 @@
+// Mock OpenAI Realtime API server for offline development
+//
+// Speaks the Realtime event protocol the bridge uses, driven by a scripted scenario (mock/scenarios/*.json),
+// and answers Whisper requests (POST /v1/audio/transcriptions) with the scenario's caller lines.
+//
+// Usage:
+//   node mock/realtime-server.js [scenario] [--port 8090] [--fast]
+//   OPENAI_BASE_URL=http://localhost:8090/v1 OPENAI_API_KEY=mock npm start
+//
+// --fast sends scripted audio without pacing and shortens caller speech (scripted delays still apply)
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const SCENARIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+// Audio chunk length for response.output_audio.delta events
+const CHUNK_MS = 100;
+
+// Audio is streamed faster than real time, like the real API, so the caller's playback buffer fills up
+// (barge-in only truncates while marks are still outstanding)
+const STREAM_SPEEDUP = 4;
+
+// Scripted speech length: roughly 15 characters per second
+const MS_PER_CHARACTER = 65;
+
+// Parse command line: first bare argument is the scenario name
+const parseArgs = (argv) => {
+    const options = {
+        scenario: process.env.MOCK_SCENARIO || 'greeting',
+        port: Number(process.env.MOCK_PORT) || 8090,
+        fast: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--fast') options.fast = true;
+        else if (!argv[i].startsWith('--')) options.scenario = argv[i];
+    }
+    return options;
+};
+
+// Load mock/scenarios/<name>.json (or a path to a JSON file)
+const loadScenario = (name) => {
+    const file = name.endsWith('.json') ? path.resolve(name) : path.join(SCENARIO_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        const available = fs.readdirSync(SCENARIO_DIR).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''));
+        throw new Error(`Scenario not found: ${name}. Available: ${available.join(', ')}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// 16-bit linear sample -> 8-bit µ-law (G.711)
+const linearToMulaw = (sample) => {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+// Quiet tone standing in for speech, in the session's output format (base64 chunks)
+const createToneChunks = (durationMs, audioFormat) => {
+    const isPcm16 = audioFormat.type === 'audio/pcm';
+    const sampleRate = isPcm16 ? (audioFormat.rate || 24000) : 8000;
+    const samplesPerChunk = Math.round(sampleRate * CHUNK_MS / 1000);
+    const chunks = [];
+    let sampleIndex = 0;
+
+    for (let elapsed = 0; elapsed < durationMs; elapsed += CHUNK_MS) {
+        const buffer = Buffer.alloc(isPcm16 ? samplesPerChunk * 2 : samplesPerChunk);
+        for (let i = 0; i < samplesPerChunk; i++, sampleIndex++) {
+            const sample = Math.round(3000 * Math.sin(2 * Math.PI * 440 * sampleIndex / sampleRate));
+            if (isPcm16) buffer.writeInt16LE(sample, i * 2);
+            else buffer[i] = linearToMulaw(sample);
+        }
+        chunks.push(buffer.toString('base64'));
+    }
+    return chunks;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const options = parseArgs(process.argv.slice(2));
+const scenario = loadScenario(options.scenario);
+
+// Caller lines waiting for the bridge's Whisper request (FIFO across sessions)
+const pendingTranscripts = [];
+
+let connectionCount = 0;
+
+// Steps for the nth connection: scenario.connections[n] (last one repeats), else scenario.steps
+const getConnectionSteps = (connectionNumber) => {
+    if (Array.isArray(scenario.connections) && scenario.connections.length > 0) {
+        const index = Math.min(connectionNumber - 1, scenario.connections.length - 1);
+        return scenario.connections[index].steps || [];
+    }
+    return scenario.steps || [];
+};
+
+// One Realtime session (one bridge WebSocket)
+const handleSession = (ws, connectionNumber) => {
+    const log = (...args) => console.log(`[Mock Realtime #${connectionNumber}]`, ...args);
+    const steps = getConnectionSteps(connectionNumber);
+    let stepIndex = 0;
+    let waitingFor = null;
+    let stepRunning = false;
+    let closed = false;
+    let nextId = 1;
+    let activeResponse = null;
+    let audioFormat = { type: 'audio/pcmu' };
+    let offeredTools = [];
+    let inputAudioBytes = 0;
+    const received = {};
+    const toolOutputs = [];
+
+    const id = (prefix) => `${prefix}_mock${connectionNumber}_${nextId++}`;
+
+    const send = (event) => {
+        if (!closed && ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ event_id: id('event'), ...event }));
+        }
+    };
+
+    // response.done with usage, then the account rate limits (same order as the real API)
+    const finishResponse = (response, status, outputTokens) => {
+        send({
+            type: 'response.done',
+            response: {
+                id: response.id,
+                object: 'realtime.response',
+                status: status,
+                output: response.output,
+                usage: {
+                    total_tokens: 120 + outputTokens,
+                    input_tokens: 120,
+                    output_tokens: outputTokens
+                }
+            }
+        });
+        send({
+            type: 'rate_limits.updated',
+            rate_limits: [
+                { name: 'requests', limit: 1000, remaining: 999, reset_seconds: 60 },
+                { name: 'tokens', limit: 100000, remaining: 99000, reset_seconds: 60 }
+            ]
+        });
+    };
+
+    // Stream an assistant audio response with its transcript
+    const say = async (text) => {
+        const response = { id: id('resp'), output: [] };
+        const itemId = id('item');
+        activeResponse = response;
+        send({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+        const item = { id: itemId, object: 'realtime.item', type: 'message', role: 'assistant', status: 'in_progress', content: [] };
+        response.output.push(item);
+        send({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item: item });
+        send({ type: 'conversation.item.added', item: item });
+        log(`▶ say: "${text}"`);
+
+        const chunks = createToneChunks(Math.max(500, text.length * MS_PER_CHARACTER), audioFormat);
+        for (const delta of chunks) {
+            if (activeResponse !== response || closed) {
+                // Caller barged in (or the socket closed): the real API cancels the response
+                finishResponse(response, 'cancelled', 0);
+                return;
+            }
+            send({ type: 'response.output_audio.delta', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, delta: delta });
+            if (!options.fast) await sleep(CHUNK_MS / STREAM_SPEEDUP);
+        }
+
+        send({ type: 'response.output_audio.done', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0 });
+        send({ type: 'response.output_audio_transcript.done', response_id: response.id, item_id: itemId, output_index: 0, content_index: 0, transcript: text });
+        item.status = 'completed';
+        item.content = [{ type: 'output_audio', transcript: text }];
+        send({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item: item });
+        activeResponse = null;
+        finishResponse(response, 'completed', Math.ceil(text.length / 4));
+    };
+
+    // Ask the bridge to run a tool
+    const callTool = (name, args) => {
+        if (offeredTools.length > 0 && !offeredTools.includes(name)) {
+            log(`⚠️  Scenario calls "${name}" but the session only offers: ${offeredTools.join(', ')}`);
+        }
+        const response = { id: id('resp'), output: [] };
+        const callId = id('call');
+        const item = { id: id('item'), object: 'realtime.item', type: 'function_call', status: 'completed', name: name, call_id: callId, arguments: JSON.stringify(args || {}) };
+        response.output.push(item);
+        send({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+        send({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item: { ...item, status: 'in_progress', arguments: '' } });
+        send({ type: 'response.function_call_arguments.done', response_id: response.id, item_id: item.id, output_index: 0, call_id: callId, name: name, arguments: item.arguments });
+        send({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item: item });
+        finishResponse(response, 'completed', 20);
+        log(`▶ tool call: ${name} ${item.arguments}`);
+    };
+
+    // Caller speech as server VAD reports it; the text is what Whisper will "hear"
+    const callerSays = async (text, durationMs) => {
+        const itemId = id('item');
+        send({ type: 'input_audio_buffer.speech_started', audio_start_ms: 0, item_id: itemId });
+        activeResponse = null;
+        log(`◀ caller says: "${text}"`);
+        pendingTranscripts.push(text);
+
+        await sleep(options.fast ? 50 : (durationMs || Math.max(600, text.length * MS_PER_CHARACTER)));
+        send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: 0, item_id: itemId });
+        send({ type: 'input_audio_buffer.committed', previous_item_id: null, item_id: itemId });
+        send({ type: 'conversation.item.added', item: { id: itemId, object: 'realtime.item', type: 'message', role: 'user', status: 'completed', content: [{ type: 'input_audio', transcript: null }] } });
+        send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: text });
+    };
+
+    const runAction = async (action) => {
+        if (action.say !== undefined) {
+            // background: keep running steps while the audio streams (lets the caller barge in)
+            if (action.background) say(action.say);
+            else await say(action.say);
+        }
+        else if (action.call_tool) callTool(action.call_tool, action.arguments);
+        else if (action.caller_says !== undefined) await callerSays(action.caller_says, action.duration_ms);
+        else if (action.error) send({ type: 'error', error: { type: 'server_error', code: null, message: 'Mock error', ...action.error } });
+        else if (action.close) {
+            log(`✗ closing socket (${action.close})`);
+            ws.close(action.close, action.reason || 'Mock close');
+            closed = true;
+        } else log('⚠️  Unknown action:', JSON.stringify(action));
+    };
+
+    // Run steps until one needs a client event
+    const runSteps = async () => {
+        if (stepRunning) return;
+        stepRunning = true;
+        while (stepIndex < steps.length && !closed) {
+            const step = steps[stepIndex];
+            if (step.wait_for && waitingFor !== 'matched') {
+                waitingFor = step.wait_for;
+                break;
+            }
+            waitingFor = null;
+            stepIndex++;
+            if (step.delay_ms) await sleep(step.delay_ms);
+            for (const action of step.actions || []) {
+                if (closed) break;
+                await runAction(action);
+            }
+        }
+        if (stepIndex >= steps.length && !closed && !waitingFor) {
+            waitingFor = 'done';
+            log('✓ Scenario steps complete');
+            if (scenario.on_end === 'close') {
+                ws.close(1000, 'Scenario complete');
+                closed = true;
+            }
+        }
+        stepRunning = false;
+    };
+
+    // Name used by wait_for: the event type, or function_call_output / input_audio
+    const triggerName = (event) => {
+        if (event.type === 'conversation.item.create' && event.item?.type === 'function_call_output') return 'function_call_output';
+        if (event.type === 'input_audio_buffer.append') return 'input_audio';
+        return event.type;
+    };
+
+    ws.on('message', (data) => {
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (err) {
+            send({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+            return;
+        }
+        received[event.type] = (received[event.type] || 0) + 1;
+
+        switch (event.type) {
+            case 'session.update': {
+                const session = event.session || {};
+                audioFormat = session.audio?.output?.format || audioFormat;
+                if (session.tools) offeredTools = session.tools.map(tool => tool.name);
+                // Flow state, when the bridge runs a flow (see services/flow.js)
+                const flowState = String(session.instructions || '').match(/Current state: (\S+)\./);
+                // Language, when the agent settings configure more than one (see services/languages.js)
+                const language = String(session.instructions || '').match(/LANGUAGE: Speak (.+?) now\./);
+                const details = [flowState && `flow state ${flowState[1]}`, language && `language ${language[1]}`].filter(Boolean);
+                if (session.audio) {
+                    log(`session.update: format ${audioFormat.type}, voice ${session.audio.output?.voice}, turn_detection ${JSON.stringify(session.audio.input?.turn_detection)}, ${offeredTools.length} tools${details.length ? `, ${details.join(', ')}` : ''}`);
+                } else {
+                    log(`session.update: ${Object.keys(session).filter(key => key !== 'type').join(', ')}${details.length ? ` (${details.join(', ')})` : ''}`);
+                }
+                send({ type: 'session.updated', session: session });
+                break;
+            }
+            case 'conversation.item.create': {
+                const item = { id: event.item?.id || id('item'), object: 'realtime.item', status: 'completed', ...event.item };
+                send({ type: 'conversation.item.added', previous_item_id: null, item: item });
+                send({ type: 'conversation.item.done', previous_item_id: null, item: item });
+                if (item.type === 'function_call_output') {
+                    toolOutputs.push({ call_id: item.call_id, output: item.output });
+                    log(`◀ tool output for ${item.call_id}: ${String(item.output).slice(0, 160)}`);
+                }
+                break;
+            }
+            case 'conversation.item.truncate':
+                send({ type: 'conversation.item.truncated', item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+                break;
+            case 'input_audio_buffer.append':
+                inputAudioBytes += Buffer.from(event.audio || '', 'base64').length;
+                break;
+            case 'response.cancel':
+                activeResponse = null;
+                break;
+            default:
+                break;
+        }
+
+        const trigger = triggerName(event);
+        if (waitingFor && waitingFor === trigger) {
+            waitingFor = 'matched';
+            runSteps();
+        } else if (event.type === 'response.create' && !stepRunning) {
+            // Not scripted: reply like a model would, or end the response with no output
+            if (scenario.default_reply) {
+                say(scenario.default_reply);
+            } else {
+                const response = { id: id('resp'), output: [] };
+                send({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+                finishResponse(response, 'completed', 0);
+            }
+        }
+    });
+
+    ws.on('close', (code) => {
+        closed = true;
+        log(`Session closed (${code}). Summary:`);
+        console.log(JSON.stringify({
+            scenario: options.scenario,
+            steps_completed: `${stepIndex}/${steps.length}`,
+            waiting_for: waitingFor === 'done' ? null : waitingFor,
+            received: received,
+            input_audio_seconds: Math.round(inputAudioBytes / (audioFormat.type === 'audio/pcm' ? 48000 : 8000) * 10) / 10,
+            tool_outputs: toolOutputs
+        }, null, 2));
+    });
+
+    send({ type: 'session.created', session: { id: id('sess'), object: 'realtime.session', type: 'realtime', model: 'gpt-realtime' } });
+    runSteps();
+};
+
+const server = http.createServer((req, res) => {
+    // Whisper: return the next scripted caller line
+    if (req.method === 'POST' && req.url.startsWith('/v1/audio/transcriptions')) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = pendingTranscripts.shift() || '';
+            const language = Buffer.concat(chunks).toString('latin1').match(/name="language"\r\n\r\n([^\r]+)/);
+            console.log(`[Mock Whisper] "${text}"${language ? ` (language ${language[1]})` : ''}`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ text: text }));
+        });
+        return;
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: `Mock server does not implement ${req.method} ${req.url}` } }));
+});
+
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+    if (!req.url.startsWith('/v1/realtime')) {
+        socket.destroy();
+        return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        connectionCount++;
+        console.log(`[Mock Realtime] Connection #${connectionCount}: ${req.url}`);
+        handleSession(ws, connectionCount);
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`[Mock Realtime] ✓ Listening on http://localhost:${options.port}/v1 - scenario "${options.scenario}"${options.fast ? ' (fast)' : ''}`);
+    if (scenario.description) console.log(`[Mock Realtime]   ${scenario.description}`);
+    console.log(`[Mock Realtime]   Run the bridge with OPENAI_BASE_URL=http://localhost:${options.port}/v1`);
+});
@@ -0,0 +1,143 @@
+// Simulated Twilio caller for offline development
+//
+// Opens /media-stream like Twilio Media Streams does: sends start, streams µ-law silence every 20 ms,
+// echoes marks once the agent's audio would have finished playing, and sends stop at the end.
+// Caller speech comes from the mock Realtime server's scenario, so the audio here is only silence.
+//
+// Usage (bridge running with DISABLE_TWILIO_VALIDATION=true):
+//   node mock/twilio-caller.js [--url ws://localhost:8080/media-stream] [--from +61400000000] [--to +61290000000] [--seconds 30]
+
+import WebSocket from 'ws';
+
+// Twilio sends 20 ms frames of 8 kHz µ-law (160 bytes)
+const FRAME_MS = 20;
+const FRAME_BYTES = 160;
+const MULAW_SILENCE = 0xff;
+
+const parseArgs = (argv) => {
+    const options = {
+        url: process.env.MOCK_BRIDGE_URL || `ws://localhost:${process.env.PORT || 8080}/media-stream`,
+        from: '+61400000000',
+        to: null,
+        seconds: 30
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') options.url = argv[++i];
+        else if (argv[i] === '--from') options.from = argv[++i];
+        else if (argv[i] === '--to') options.to = argv[++i];
+        else if (argv[i] === '--seconds') options.seconds = Number(argv[++i]);
+    }
+    return options;
+};
+
+const options = parseArgs(process.argv.slice(2));
+const streamSid = `MZmock${Date.now()}`;
+const callSid = `CAmock${Date.now()}`;
+const silence = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE).toString('base64');
+
+let mediaTimer = null;
+let hangUpTimer = null;
+let timestamp = 0;
+let chunk = 0;
+
+// Agent audio queued for "playback": marks are echoed when it finishes, like a phone would
+let playbackEndsAt = 0;
+let pendingMarks = [];
+let audioReceivedMs = 0;
+const stats = { media: 0, marks: 0, clears: 0 };
+
+const ws = new WebSocket(options.url);
+
+const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+};
+
+const hangUp = (reason) => {
+    console.log(`[Mock Caller] Hanging up (${reason})`);
+    send({ event: 'stop', sequenceNumber: String(chunk + 2), streamSid: streamSid, stop: { accountSid: 'ACmock', callSid: callSid } });
+    ws.close();
+};
+
+ws.on('open', () => {
+    console.log(`[Mock Caller] ✓ Connected to ${options.url} (from ${options.from}${options.to ? `, to ${options.to}` : ''})`);
+    send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    send({
+        event: 'start',
+        sequenceNumber: '1',
+        streamSid: streamSid,
+        start: {
+            accountSid: 'ACmock',
+            streamSid: streamSid,
+            callSid: callSid,
+            tracks: ['inbound'],
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+            customParameters: {
+                callSid: callSid,
+                from: options.from,
+                ...(options.to ? { to: options.to } : {})
+            }
+        }
+    });
+
+    mediaTimer = setInterval(() => {
+        chunk++;
+        timestamp += FRAME_MS;
+        send({
+            event: 'media',
+            sequenceNumber: String(chunk + 1),
+            streamSid: streamSid,
+            media: { track: 'inbound', chunk: String(chunk), timestamp: String(timestamp), payload: silence }
+        });
+    }, FRAME_MS);
+
+    hangUpTimer = setTimeout(() => hangUp(`${options.seconds}s elapsed`), options.seconds * 1000);
+});
+
+ws.on('message', (message) => {
+    const data = JSON.parse(message);
+    switch (data.event) {
+        case 'media': {
+            stats.media++;
+            const durationMs = Buffer.from(data.media.payload, 'base64').length / 8;
+            audioReceivedMs += durationMs;
+            playbackEndsAt = Math.max(playbackEndsAt, Date.now()) + durationMs;
+            break;
+        }
+        case 'mark': {
+            stats.marks++;
+            const mark = { name: data.mark.name, timer: null };
+            mark.timer = setTimeout(() => {
+                pendingMarks = pendingMarks.filter(m => m !== mark);
+                send({ event: 'mark', sequenceNumber: String(chunk + 1), streamSid: streamSid, mark: { name: mark.name } });
+            }, Math.max(0, playbackEndsAt - Date.now()));
+            pendingMarks.push(mark);
+            break;
+        }
+        case 'clear':
+            // Twilio drops buffered audio and returns outstanding marks straight away
+            stats.clears++;
+            console.log('[Mock Caller] clear - playback interrupted');
+            playbackEndsAt = 0;
+            pendingMarks.forEach((mark) => {
+                clearTimeout(mark.timer);
+                send({ event: 'mark', sequenceNumber: String(chunk + 1), streamSid: streamSid, mark: { name: mark.name } });
+            });
+            pendingMarks = [];
+            break;
+        default:
+            break;
+    }
+});
+
+ws.on('close', (code, reason) => {
+    clearInterval(mediaTimer);
+    clearTimeout(hangUpTimer);
+    pendingMarks.forEach(mark => clearTimeout(mark.timer));
+    console.log(`[Mock Caller] Disconnected (${code}${reason.length ? ` ${reason}` : ''}) - received ${(audioReceivedMs / 1000).toFixed(1)}s of agent audio, ${stats.marks} marks, ${stats.clears} clears`);
+});
+
+ws.on('error', (err) => {
+    console.error('[Mock Caller] ✗ WebSocket error:', err.message);
+});
+
+process.on('SIGINT', () => hangUp('interrupted'));
@@ -0,0 +1,122 @@
+// Admin route handlers: view and edit agent settings, with version history and rollback
+
+import path from 'path';
+import { ADMIN_API_KEY } from '../config/index.js';
+import { loadFromStorage, getFileVersion } from '../services/storage.js';
+import { getTenants, getDefaultTenant, reloadTenants } from '../services/tenants.js';
+import { listSettingsVersions, loadSettingsVersion, saveSettingsVersion, isValidVersionId } from '../services/settingsHistory.js';
+import { validateAgentSettings, validateSystemMessage } from '../services/settingsValidation.js';
+import { createApiKeyGuard } from '../utils/helpers.js';
+
+const requireAdminApiKey = createApiKeyGuard(ADMIN_API_KEY, 'Admin API');
+
+// Editable settings: URL name -> tenant file and its validator
+const SETTINGS_KINDS = {
+    agent: { file: 'agent', validate: validateAgentSettings },
+    'system-message': { file: 'system_message', validate: validateSystemMessage }
+};
+
+// Resolve the kind and tenant of a request; sends the error reply and returns null when unknown
+const resolveTarget = (request, reply) => {
+    const kind = SETTINGS_KINDS[request.params.kind];
+    if (!kind) {
+        reply.code(404).send({ success: false, error: `Unknown settings "${request.params.kind}". Use: ${Object.keys(SETTINGS_KINDS).join(', ')}` });
+        return null;
+    }
+    const tenantId = request.query.tenant;
+    const tenant = tenantId ? getTenants().find(t => t.id === tenantId) : getDefaultTenant();
+    if (!tenant) {
+        reply.code(404).send({ success: false, error: `Unknown tenant "${tenantId}"` });
+        return null;
+    }
+    return { kind, tenant, file: tenant.files[kind.file] };
+};
+
+// Save new file content, then reload so new calls use it
+const saveSettings = async (target, payload, reason) => {
+    const saved = await saveSettingsVersion(target.file, payload);
+    await reloadTenants(`${reason}: ${target.file}`);
+    return saved;
+};
+
+// Register admin routes
+export const registerAdminRoutes = (fastify) => {
+    // Current settings file for a tenant (default tenant when ?tenant= is not given)
+    fastify.get('/admin/settings/:kind', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const target = resolveTarget(request, reply);
+        if (!target) return reply;
+
+        const result = await loadFromStorage(target.file, path.join(process.cwd(), target.file));
+        if (!result.success) {
+            return reply.code(404).send({ success: false, error: `${target.file} not found` });
+        }
+        reply.send({
+            success: true,
+            tenant: target.tenant.id,
+            file: target.file,
+            source: result.source,
+            file_version: await getFileVersion(target.file, path.join(process.cwd(), target.file)),
+            content: JSON.parse(result.content)
+        });
+    });
+
+    // Replace a settings file; body is the whole JSON file
+    fastify.put('/admin/settings/:kind', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const target = resolveTarget(request, reply);
+        if (!target) return reply;
+
+        const error = target.kind.validate(request.body);
+        if (error) {
+            console.warn(`[Admin API] ✗ Rejected ${target.file}: ${error}`);
+            return reply.code(400).send({ success: false, error: error });
+        }
+
+        const saved = await saveSettings(target, `${JSON.stringify(request.body, null, 2)}\n`, 'admin edit');
+        reply.send({ success: true, tenant: target.tenant.id, file: target.file, version: saved.version, location: saved.location });
+    });
+
+    // Saved versions of a settings file, newest first
+    fastify.get('/admin/settings/:kind/versions', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const target = resolveTarget(request, reply);
+        if (!target) return reply;
+
+        reply.send({ success: true, tenant: target.tenant.id, file: target.file, versions: await listSettingsVersions(target.file) });
+    });
+
+    // Content of one saved version
+    fastify.get('/admin/settings/:kind/versions/:version', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const target = resolveTarget(request, reply);
+        if (!target) return reply;
+
+        const content = await loadSettingsVersion(target.file, request.params.version);
+        if (content === null) {
+            return reply.code(404).send({ success: false, error: `Version ${request.params.version} not found for ${target.file}` });
+        }
+        reply.send({ success: true, file: target.file, version: request.params.version, content: JSON.parse(content) });
+    });
+
+    // Make a saved version live again (saved as a new version, so the rollback can itself be undone)
+    // Body: { version }
+    fastify.post('/admin/settings/:kind/rollback', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const target = resolveTarget(request, reply);
+        if (!target) return reply;
+
+        const version = request.body?.version;
+        if (!isValidVersionId(version)) {
+            return reply.code(400).send({ success: false, error: '`version` is required (an ID from /versions)' });
+        }
+        const content = await loadSettingsVersion(target.file, version);
+        if (content === null) {
+            return reply.code(404).send({ success: false, error: `Version ${version} not found for ${target.file}` });
+        }
+
+        const error = target.kind.validate(JSON.parse(content));
+        if (error) {
+            return reply.code(400).send({ success: false, error: `Version ${version} is no longer valid: ${error}` });
+        }
+
+        const saved = await saveSettings(target, content, `rollback to ${version}`);
+        console.log(`[Admin API] ✓ Rolled back ${target.file} to ${version}`);
+        reply.send({ success: true, tenant: target.tenant.id, file: target.file, restored: version, version: saved.version });
+    });
+};
@@ -0,0 +1,92 @@
+// Call status callback route handler
+
+import { saveTranscriptToStorage } from '../services/storage.js';
+import { isStreamCall, applyCallUpdate } from '../services/callRecords.js';
+import { requireTwilioSignature, fetchCallDetails } from '../services/twilio.js';
+import { resolveTenant } from '../services/tenants.js';
+import { releaseReservation } from '../services/sessions.js';
+import { generateCallStatusFilename } from '../utils/helpers.js';
+import { outboundCalls } from './outbound-call.js';
+
+// Build the call outcome from Twilio's status callback (plus price from the REST API)
+const buildCallStatus = async (body) => {
+    const callStatus = {
+        status: body.CallStatus || 'unknown',
+        duration_seconds: body.CallDuration !== undefined ? Number(body.CallDuration) : null,
+        price: null,
+        price_unit: null,
+        sip_response_code: body.SipResponseCode ? Number(body.SipResponseCode) : null,
+        answered_by: body.AnsweredBy || null,
+        received_at: new Date().toISOString()
+    };
+
+    const details = await fetchCallDetails(body.CallSid);
+    if (details.success) {
+        callStatus.price = details.price !== null && details.price !== undefined ? Number(details.price) : null;
+        callStatus.price_unit = details.priceUnit || null;
+        if (callStatus.duration_seconds === null && details.duration) {
+            callStatus.duration_seconds = Number(details.duration);
+        }
+    }
+
+    return callStatus;
+};
+
+// Register call status route
+export const registerCallStatusRoute = (fastify) => {
+    // Twilio status callback - final status, duration, price and SIP code for every call
+    fastify.post('/call-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+        const body = request.body || {};
+        const callSid = body.CallSid || null;
+        console.log(`[Call Status] ${callSid || 'unknown'}: ${body.CallStatus || 'unknown'} (${body.CallDuration || 0}s${body.SipResponseCode ? `, SIP ${body.SipResponseCode}` : ''})`);
+
+        try {
+            const callStatus = await buildCallStatus(body);
+
+            if (isStreamCall(callSid)) {
+                // Stream connected: merge into its transcript, or hand over if it is not saved yet
+                if (!await applyCallUpdate(callSid, 'callStatus', callStatus)) {
+                    console.log('[Call Status] Transcript not saved yet - status will be included when it is');
+                }
+            } else {
+                // No stream ever connected (busy, no-answer, canceled, voicemail only): write a stub record
+                // and free the AI session slot the call was holding
+                releaseReservation(callSid);
+                const outboundCall = callSid ? outboundCalls[callSid] : null;
+                if (outboundCall) delete outboundCalls[callSid];
+
+                const isOutbound = String(body.Direction || '').startsWith('outbound') || Boolean(outboundCall);
+                const callerNumber = isOutbound ? body.To || null : body.From || null;
+                const calleeNumber = isOutbound ? body.From || null : body.To || null;
+                const tenant = resolveTenant(calleeNumber);
+                const receivedAt = new Date();
+
+                const record = {
+                    type: 'call_status',
+                    callSid: callSid,
+                    callerNumber: callerNumber,
+                    calleeNumber: calleeNumber,
+                    tenant: tenant ? { id: tenant.id, name: tenant.name } : null,
+                    direction: isOutbound ? 'outbound' : 'inbound',
+                    outbound: outboundCall ? {
+                        purpose: outboundCall.purpose,
+                        context: outboundCall.context,
+                        requested_at: outboundCall.requested_at,
+                        answered_by: outboundCall.answered_by,
+                        amd_action: outboundCall.amd_action
+                    } : null,
+                    callStatus: callStatus,
+                    webhookBody: body,
+                    receivedAt: receivedAt.toISOString()
+                };
+
+                const filename = generateCallStatusFilename(callerNumber, calleeNumber, receivedAt);
+                await saveTranscriptToStorage(filename, JSON.stringify(record, null, 2));
+            }
+        } catch (err) {
+            console.error('[Call Status] Failed to record call status:', err.message);
+        }
+
+        reply.code(204).send();
+    });
+};
@@ -0,0 +1,44 @@
+// Prompt experiment report route handlers
+
+import { ADMIN_API_KEY } from '../config/index.js';
+import { loadTranscripts } from '../services/storage.js';
+import { getTenants } from '../services/tenants.js';
+import { summarizeExperiments } from '../services/experiments.js';
+import { createApiKeyGuard } from '../utils/helpers.js';
+
+const requireAdminApiKey = createApiKeyGuard(ADMIN_API_KEY, 'Experiments');
+
+// Register experiment report route
+export const registerExperimentRoutes = (fastify) => {
+    // Compare prompt variants over recent calls
+    // Query: days (default 30), experiment (id, default all)
+    fastify.get('/experiments/report', { preHandler: requireAdminApiKey }, async (request, reply) => {
+        const days = Number(request.query.days ?? 30);
+        if (!Number.isFinite(days) || days <= 0) {
+            return reply.code(400).send({ success: false, error: '`days` must be a positive number' });
+        }
+        const experimentId = request.query.experiment || null;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const transcripts = (await loadTranscripts({ since }))
+            .filter(transcript => !transcript.startTime || new Date(transcript.startTime) >= since);
+        const experiments = summarizeExperiments(transcripts, experimentId);
+        console.log(`[Experiments] Report over ${transcripts.length} call(s) since ${since.toISOString()}: ${Object.keys(experiments).length} experiment(s)`);
+
+        reply.send({
+            success: true,
+            since: since.toISOString(),
+            calls_scanned: transcripts.length,
+            // Experiments currently running, per tenant
+            active: getTenants()
+                .filter(tenant => tenant.settings.experiment)
+                .map(tenant => ({
+                    tenant: tenant.id,
+                    experiment: tenant.settings.experiment.id,
+                    assignment: tenant.settings.experiment.assignment,
+                    variants: tenant.settings.experiment.variants.map(variant => ({ id: variant.id, weight: variant.weight }))
+                })),
+            experiments: experiments
+        });
+    });
+};
@@ -1,11 +1,127 @@
 // Incoming call route handler
 
+import { DEFAULT_AGENT_SETTINGS } from '../config/index.js';
+import { requireTwilioSignature, createStreamToken, setCallStatusCallback, buildDialTwiml } from '../services/twilio.js';
+import { getScheduleState } from '../services/schedule.js';
+import { resolveTenant } from '../services/tenants.js';
+import { hasCapacity, reserveSession, recordRejectedCall } from '../services/sessions.js';
+import { screenCaller } from '../services/screening.js';
+import { saveTranscriptToStorage } from '../services/storage.js';
+import { escapeXml, getPublicBaseUrl, getPublicWebSocketUrl, generateScreenedCallFilename } from '../utils/helpers.js';
+import { buildVoicemailTwiml } from './voicemail.js';
+
 // In-memory store for webhook bodies keyed by CallSid
 export const callMeta = {};
 
+// Build TwiML that connects a call to the /media-stream pipeline
+// `from` is always the customer's number and `to` our line (swapped for outbound calls)
+export const buildStreamTwiml = (request, { from, to, callSid, direction = 'inbound', connectGreeting = null, connectVoice = null }) => {
+    const fromEsc = encodeURIComponent(from || '');
+    const toEsc = encodeURIComponent(to || '');
+    const callSidEsc = encodeURIComponent(callSid || '');
+
+    // Short-lived token that /media-stream checks before opening the OpenAI socket
+    const streamToken = createStreamToken(callSid) || '';
+    const tokenEsc = encodeURIComponent(streamToken);
+
+    const streamUrl = `${getPublicWebSocketUrl(request, '/media-stream')}?from=${fromEsc}&to=${toEsc}&callSid=${callSidEsc}&direction=${direction}&token=${tokenEsc}`;
+    console.log('[DEBUG] Media stream URL:', streamUrl.replace(/token=[^&]*/, 'token=***'));
+    const streamUrlXml = escapeXml(streamUrl);
+
+    // Optional connect message spoken by Twilio before the AI picks up
+    const voice = escapeXml(connectVoice || DEFAULT_AGENT_SETTINGS.connect_voice);
+    const connectSay = connectGreeting
+        ? `<Say voice="${voice}">${escapeXml(connectGreeting)}</Say>
+                                  <Pause length="1"/>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  ${connectSay}
+                                  <Connect>
+                                      <Stream url="${streamUrlXml}">
+                                          <Parameter name="from" value="${escapeXml(from)}" />
+                                          <Parameter name="to" value="${escapeXml(to)}" />
+                                          <Parameter name="callSid" value="${escapeXml(callSid)}" />
+                                          <Parameter name="direction" value="${escapeXml(direction)}" />
+                                          <Parameter name="token" value="${escapeXml(streamToken)}" />
+                                      </Stream>
+                                  </Connect>
+                              </Response>`;
+};
+
+// Build TwiML for a screened caller: <Reject> or a short message and hang up
+const buildScreenedTwiml = (screening, voice) => {
+    if (screening.action === 'reject') {
+        return `<?xml version="1.0" encoding="UTF-8"?><Response><Reject reason="rejected" /></Response>`;
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say voice="${escapeXml(voice)}">${escapeXml(screening.message)}</Say><Hangup/></Response>`;
+};
+
+// Save a lightweight record of a screened call (no transcript - the AI never answered)
+const saveScreenedCallRecord = async (body, screening, tenant) => {
+    const receivedAt = new Date();
+    const record = {
+        type: 'screened_call',
+        callSid: body.CallSid || null,
+        callerNumber: body.From || null,
+        calleeNumber: body.To || null,
+        tenant: tenant ? { id: tenant.id, name: tenant.name } : null,
+        decision: {
+            reason: screening.reason,
+            rule: screening.rule,
+            action: screening.action
+        },
+        stirVerstat: body.StirVerstat || null,
+        callerCountry: body.FromCountry || null,
+        receivedAt: receivedAt.toISOString()
+    };
+
+    const filename = generateScreenedCallFilename(body.From, body.To, receivedAt);
+    await saveTranscriptToStorage(filename, JSON.stringify(record, null, 2));
+};
+
+// Build TwiML for a call that arrives while every AI session is in use
+// Returns { action, twiml } - action is hold, voicemail or forward
+const buildOverflowTwiml = (request, settings, attempt) => {
+    const overflow = { ...DEFAULT_AGENT_SETTINGS.overflow, ...(settings.overflow || {}) };
+    const voice = settings.connect_voice || DEFAULT_AGENT_SETTINGS.connect_voice;
+
+    let action = overflow.mode;
+    if (action === 'hold' && attempt >= overflow.max_hold_attempts) {
+        action = overflow.after_hold;
+    }
+    if (action === 'forward' && !overflow.forward_to) {
+        action = 'voicemail';
+    }
+
+    if (action === 'hold') {
+        // Play the hold message, wait, then ask /incoming-call again
+        const retryUrl = escapeXml(`${getPublicBaseUrl(request)}/incoming-call?overflow_attempt=${attempt + 1}`);
+        const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  <Say voice="${escapeXml(voice)}">${escapeXml(overflow.hold_message)}</Say>
+                                  <Pause length="${Number(overflow.hold_seconds) || 15}"/>
+                                  <Redirect method="POST">${retryUrl}</Redirect>
+                              </Response>`;
+        return { action, twiml };
+    }
+
+    if (action === 'forward') {
+        const twiml = `<?xml version="1.0" encoding="UTF-8"?>${buildDialTwiml(overflow.forward_to, {
+            callerId: settings.transfer?.caller_id,
+            message: overflow.forward_message,
+            voice: voice
+        })}`;
+        return { action, twiml };
+    }
+
+    return { action: 'voicemail', twiml: buildVoicemailTwiml(getPublicBaseUrl(request), overflow.voicemail_message, 'overflow', voice) };
+};
+
 // Register incoming call route
 export const registerIncomingCallRoute = (fastify) => {
-    fastify.all('/incoming-call', async (request, reply) => {
+    fastify.all('/incoming-call', { preHandler: requireTwilioSignature }, async (request, reply) => {
         try {
             const body = request.body || {};
             console.log('[DEBUG] /incoming-call received. request.body:', JSON.stringify(body));
@@ -13,6 +129,22 @@ export const registerIncomingCallRoute = (fastify) => {
             const from = body.From || body.from || '';
             const to = body.To || body.to || '';
             const callSid = body.CallSid || body.callSid || '';
+            // Set when the call comes back here after an overflow hold
+            const overflowAttempt = Number(request.query?.overflow_attempt) || 0;
+
+            // Resolve the tenant (agent settings) for the dialed number
+            const tenant = resolveTenant(to);
+            const settings = tenant ? tenant.settings : DEFAULT_AGENT_SETTINGS;
+            console.log('[Tenant] Dialed number', to || 'unknown', '->', tenant ? tenant.id : 'none');
+
+            // Screen blocked, anonymous and failed-attestation callers before they reach the AI
+            const screening = await screenCaller(body);
+            if (screening.blocked) {
+                console.warn(`[Screening] ✗ Blocked caller ${from || 'unknown'} (${screening.reason}) - ${screening.action}`);
+                saveScreenedCallRecord(body, screening, tenant).catch(err => console.error('[Screening] Failed to save call record:', err.message));
+                reply.type('text/xml').status(200).send(buildScreenedTwiml(screening, settings.connect_voice || DEFAULT_AGENT_SETTINGS.connect_voice));
+                return;
+            }
 
             // Store the full webhook body so it can be attached to the transcript later
             try {
@@ -25,27 +157,38 @@ export const registerIncomingCallRoute = (fastify) => {
 
             console.log('[DEBUG] Extracted from webhook - from:', from, 'to:', to, 'callSid:', callSid);
 
-            const fromEsc = encodeURIComponent(from || '');
-            const toEsc = encodeURIComponent(to || '');
-            const callSidEsc = encodeURIComponent(callSid || '');
+            // Ask Twilio to report the final call status to /call-status (not awaited - TwiML goes back first)
+            if (callSid && overflowAttempt === 0) {
+                setCallStatusCallback(callSid, `${getPublicBaseUrl(request)}/call-status`);
+            }
 
-            const streamUrl = `wss://cloudrun-ai247-452739190322.us-south1.run.app/media-stream?from=${fromEsc}&to=${toEsc}&callSid=${callSidEsc}`;
-            // Escape ampersands for safe XML embedding
-            const streamUrlXml = streamUrl.replace(/&/g, '&amp;');
+            // Business hours: closed offices may go straight to voicemail
+            const scheduleState = getScheduleState(settings.schedule);
+            console.log(`[Schedule] Status: ${scheduleState.status}, mode: ${scheduleState.mode}${scheduleState.local_time ? `, local time: ${scheduleState.local_time}` : ''}${scheduleState.holiday ? `, holiday: ${scheduleState.holiday}` : ''}`);
 
-            const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                              <Response>
-                                  <Say voice="Google.en-US-Chirp3-HD-Aoede">Connecting your call to Update 2 4 7</Say>
-                                  <Pause length="1"/>
-                                  <Say voice="Google.en-US-Chirp3-HD-Aoede"></Say>
-                                  <Connect>
-                                      <Stream url="${streamUrlXml}">
-                                          <Parameter name="from" value="${from}" />
-                                          <Parameter name="to" value="${to}" />
-                                          <Parameter name="callSid" value="${callSid}" />
-                                      </Stream>
-                                  </Connect>
-                              </Response>`;
+            if (scheduleState.mode === 'voicemail') {
+                const voicemailMessage = settings.schedule?.voicemail_message || 'Our office is closed right now. Please leave a message after the beep.';
+                reply.type('text/xml').status(200).send(buildVoicemailTwiml(getPublicBaseUrl(request), voicemailMessage, scheduleState.status, settings.connect_voice));
+                return;
+            }
+
+            // Every AI session is in use: hold, voicemail or forward instead of opening another one
+            if (!hasCapacity()) {
+                const overflow = buildOverflowTwiml(request, settings, overflowAttempt);
+                recordRejectedCall(overflow.action);
+                console.warn(`[Overflow] Concurrent call limit reached - ${overflow.action} for ${from || 'unknown'} (attempt ${overflowAttempt})`);
+                reply.type('text/xml').status(200).send(overflow.twiml);
+                return;
+            }
+
+            reserveSession(callSid);
+            const twimlResponse = buildStreamTwiml(request, {
+                from: from,
+                to: to,
+                callSid: callSid,
+                connectGreeting: settings.connect_greeting,
+                connectVoice: settings.connect_voice
+            });
 
             reply.type('text/xml').status(200).send(twimlResponse);
         } catch (err) {
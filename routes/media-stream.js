@@ -1,694 +1,1127 @@
 // Media stream WebSocket route handler
 
+import crypto from 'crypto';
 import WebSocket from 'ws';
-import { OPENAI_API_KEY, LOG_EVENT_TYPES, SHOW_TIMING_MATH, USE_REALTIME_TRANSCRIPTION } from '../config/index.js';
-import { getTwilioClient, startRecording } from '../services/twilio.js';
+import { OPENAI_API_KEY, LOG_EVENT_TYPES, SHOW_TIMING_MATH, USE_REALTIME_TRANSCRIPTION, DISABLE_TWILIO_VALIDATION, OPENAI_CONNECT_TIMEOUT_MS, OPENAI_RECOVERY_SETTINGS, MEDIA_GATEWAY_API_KEY } from '../config/index.js';
+import { getTwilioClient, startRecording, verifyStreamToken, redirectCall } from '../services/twilio.js';
 import { lookupPropertyByPhone } from '../services/phoneLookup.js';
 import { transcribeAudio } from '../services/transcription.js';
-import { saveTranscriptToStorage, saveBackupTranscript } from '../services/storage.js';
-import { sendCallTranscriptEmail } from '../services/email.js';
+import { saveTranscriptToStorage, saveBackupTranscript, saveRestrictedTranscript } from '../services/storage.js';
+import { getScheduleState, applyScheduleToSettings } from '../services/schedule.js';
+import { resolveTenant } from '../services/tenants.js';
+import { assignVariant, applyVariantToSettings } from '../services/experiments.js';
+import { redactTranscript } from '../services/redaction.js';
+import { matchLanguage, applyLanguageToSettings, getLanguageSettings, getTranscriptionLanguage } from '../services/languages.js';
+import { trackStreamCall, attachCallUpdates, deferTranscriptEmail } from '../services/callRecords.js';
+import { hasCapacity, reserveSession, releaseReservation, recordRejectedCall, acquireSession, releaseSession } from '../services/sessions.js';
+import { sendCallTranscriptEmail, sendPipelineFailureAlert } from '../services/email.js';
 import { createInactivityHandler } from '../handlers/inactivity.js';
-import { createSessionUpdate, createInitialGreeting, getOpenAIWebSocketUrl, getOpenAIWebSocketHeaders } from '../handlers/openaiSession.js';
+import { createDtmfHandler } from '../handlers/dtmf.js';
 import { 
-    handleSaveCallerInfo, 
-    handleRouteCall, 
-    handleGetPricingDetails, 
-    handleGetInterfaceScreenshots,
-    handleEndCall 
-} from '../handlers/functions.js';
+    createSessionUpdate, 
+    createInstructionsUpdate,
+    createInitialGreeting, 
+    createRecoveryItems,
+    RECOVERY_ITEM_PREFIX,
+    getOpenAIWebSocketUrl, 
+    getOpenAIWebSocketHeaders, 
+    buildTurnDetection, 
+    validateTurnDetection 
+} from '../handlers/openaiSession.js';
+import { executeToolCall } from '../handlers/tools.js';
 import { 
     createInitialCallState, 
     parseUrlParams, 
     generateTranscriptFilename, 
+    generateTestCallFilename,
     generateBackupFilename,
+    getPublicBaseUrl,
+    createApiKeyGuard,
     calculateTokenCost,
     estimateTokensFromConversation 
 } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
+import { createTwilioTransport } from '../transports/twilio.js';
+import { createPcmTransport } from '../transports/pcm.js';
 import { callMeta } from './incoming-call.js';
+import { buildVoicemailTwiml, expectVoicemail } from './voicemail.js';
+import { outboundCalls, applyOutboundToSettings } from './outbound-call.js';
 
-// Register media stream WebSocket route
-export const registerMediaStreamRoute = (fastify, agentSettings) => {
+const requireMediaGatewayApiKey = createApiKeyGuard(MEDIA_GATEWAY_API_KEY, 'Media Gateway');
+
+// PCM and browser sessions have no webhook that reserves a slot: check the cap when the socket opens
+// Returns the reservation key for handleMediaSession, or null after closing the socket as busy (1013 Try Again Later)
+export const reservePcmSession = (connection, name) => {
+    if (!hasCapacity()) {
+        recordRejectedCall('busy');
+        console.warn(`[Overflow] Concurrent call limit reached - ${name} session refused`);
+        connection.close(1013, 'All AI sessions are in use, try again later');
+        return null;
+    }
+    const reservation = `${name}-${crypto.randomUUID()}`;
+    reserveSession(reservation);
+    return reservation;
+};
+
+// Register media stream WebSocket routes (one per transport protocol)
+export const registerMediaStreamRoute = (fastify) => {
     fastify.register(async (fastify) => {
+        // Twilio Media Streams (TwiML <Connect><Stream>)
         fastify.get('/media-stream', { websocket: true }, async (connection, req) => {
-            console.log('========== NEW WEBSOCKET CONNECTION ==========');
-            console.log('Client connected');
-            console.log('[ENTRY] WebSocket URL:', req.url);
-            
-            // Use settings loaded at startup
-            const callSettings = agentSettings || {
-                system_message: 'You are a helpful AI assistant.',
-                voice: 'sage',
-                temperature: 0.2,
-                use_realtime_transcription: false
-            };
-            console.log('✓ Using agent settings:');
-            console.log('  - Voice:', callSettings.voice);
-            console.log('  - System message length:', callSettings.system_message ? callSettings.system_message.length : 'undefined');
-            console.log('  - Temperature:', callSettings.temperature);
-
-            // Connection-specific state
-            let streamSid = null;
-            let latestMediaTimestamp = 0;
-            let lastAssistantItem = null;
-            let markQueue = [];
-            let responseStartTimestampTwilio = null;
-            let sessionInitialized = false;
-            let shouldSendInitialGreeting = true;
-            let pendingAudioDeltas = [];
-            let callerNumber = null;
-            let calleeNumber = null;
-            let callSid = null;
-            let webhookBody = null;
-            let recordingSid = null;
-            let conversationLog = [];
-            let callStartTime = new Date();
-            let allEvents = [];
-            
-            // Silence detection state
-            let silenceTimer = null;
-            let silenceCount = 0;
-            let waitingForCaller = false;
-            let callerSpokeSinceLastResponse = false;
-            let conversationTurns = 0;
-            
-            // For caller speech transcription
-            let isCapturingCallerSpeech = false;
-            let callerAudioChunks = [];
-            
-            // Track AI response state for proper inactivity timing
-            let aiResponseComplete = false;
-            
-            // Initialize call state
-            let callState = createInitialCallState(callStartTime);
-
-            // Parse URL parameters
-            const urlParams = parseUrlParams(req.url || '');
-            if (urlParams.from) callerNumber = urlParams.from;
-            if (urlParams.to) calleeNumber = urlParams.to;
-            if (urlParams.callSid) callSid = urlParams.callSid;
-            console.log('[DEBUG] Parsed from URL - from:', callerNumber, 'to:', calleeNumber, 'callSid:', callSid);
-
-            // Try to attach saved webhook body
-            if (callSid && callMeta[callSid]) {
-                webhookBody = callMeta[callSid].webhookBody || null;
-                console.log('[DEBUG] Attached webhook body from callMeta');
+            await handleMediaSession(createTwilioTransport(connection), req);
+        });
+
+        // Plain 24 kHz PCM protocol for SIP gateways and other carriers (API key instead of a stream token)
+        fastify.get('/media-stream/pcm', { websocket: true, preHandler: requireMediaGatewayApiKey }, async (connection, req) => {
+            const reservation = reservePcmSession(connection, 'pcm');
+            if (!reservation) return;
+            await handleMediaSession(createPcmTransport(connection), req, { authorized: true, reservation: reservation });
+        });
+    });
+};
+
+// Bridge one call's media transport (see transports/) to an OpenAI Realtime session
+// `authorized`: the route already authenticated the connection, so no stream token is needed
+// `testCall`: browser test session - transcript is tagged test_call and saved as test-call-*.json
+// `reservation`: key of the session slot the route reserved (default: the CallSid, reserved by the call's webhook)
+export const handleMediaSession = async (transport, req, { authorized = false, testCall = false, reservation = null } = {}) => {
+    console.log('========== NEW WEBSOCKET CONNECTION ==========');
+    console.log('Client connected');
+    // Keep API keys passed as ?key= (browser test page) out of the logs
+    console.log('[ENTRY] WebSocket URL:', req.url.replace(/([?&]key=)[^&]*/, '$1***'));
+    
+    // Connection-specific state
+    let streamSid = null;
+    let latestMediaTimestamp = 0;
+    let lastAssistantItem = null;
+    let markQueue = [];
+    let responseStartTimestampTwilio = null;
+    let sessionInitialized = false;
+    let shouldSendInitialGreeting = true;
+    let pendingAudioDeltas = [];
+    let callerNumber = null;
+    let calleeNumber = null;
+    let callSid = null;
+    let webhookBody = null;
+    let recordingSid = null;
+    let sessionId = null;
+    let conversationLog = [];
+    let callStartTime = new Date();
+    let allEvents = [];
+    let streamToken = null;
+    let direction = 'inbound';
+    let streamAuthorized = DISABLE_TWILIO_VALIDATION || authorized;
+    let streamRejected = false;
+    let twilioStreamEnded = false;
+    let aiFailure = null;
+    let openAiConnectTimer = null;
+
+    // OpenAI socket drops after the session was set up: each outage and its reconnect attempts
+    let openAiOutages = [];
+    let currentOutage = null;
+    let reconnectTimer = null;
+    const buildTranscriptFilename = testCall ? generateTestCallFilename : generateTranscriptFilename;
+    
+    // Silence detection state
+    let silenceTimer = null;
+    let silenceCount = 0;
+    let waitingForCaller = false;
+    let callerSpokeSinceLastResponse = false;
+    let conversationTurns = 0;
+    
+    // For caller speech transcription
+    let isCapturingCallerSpeech = false;
+    let callerAudioChunks = [];
+    
+    // Track AI response state for proper inactivity timing
+    let aiResponseComplete = false;
+    
+    // Initialize call state
+    let callState = createInitialCallState(callStartTime);
+
+    // Per-call settings, resolved from the tenant for the dialed number
+    let tenant = null;
+    let callSettings = null;
+
+    // Per-call turn detection and language overrides (gateway start event); outbound calls carry theirs in outboundCalls
+    let callTurnDetection = null;
+    let callLanguage = null;
+
+    // Resolve tenant by dialed number and apply business hours (after-hours persona + office-hours instructions)
+    const resolveCallSettings = () => {
+        tenant = resolveTenant(calleeNumber);
+        const baseSettings = tenant ? tenant.settings : {
+            system_message: 'You are a helpful AI assistant.',
+            voice: 'sage',
+            temperature: 0.2,
+            use_realtime_transcription: false
+        };
+
+        // Prompt experiment: the variant's prompt, voice and greeting go under the schedule and outbound additions
+        const experiment = baseSettings.experiment || null;
+        const assignment = experiment ? assignVariant(experiment, callerNumber) : null;
+        callState.experiment = assignment ? { id: experiment.id, variant: assignment.variant.id, assignment: assignment.method } : null;
+
+        // Conversation language: the per-call language if supported, else the tenant's default
+        // A language greeting goes under the schedule's after-hours greeting and the outbound purpose greeting
+        const variantSettings = applyVariantToSettings(baseSettings, assignment?.variant);
+        const outbound = callSid ? outboundCalls[callSid] : null;
+        const requestedLanguage = callLanguage || outbound?.language || null;
+        const language = matchLanguage(variantSettings, requestedLanguage);
+        if (requestedLanguage && !language) {
+            console.warn(`[Language] Ignoring unsupported call language "${requestedLanguage}"`);
+        }
+        callState.language = language || variantSettings.default_language || 'en';
+        callState.languages = [{
+            language: callState.language,
+            name: getLanguageSettings(variantSettings, callState.language).name,
+            started_at: new Date().toISOString(),
+            source: language ? 'call' : 'settings'
+        }];
+
+        const scheduleState = getScheduleState(baseSettings.schedule);
+        callSettings = applyScheduleToSettings(applyLanguageToSettings(variantSettings, callState.language), scheduleState);
+        callState.tenant = tenant ? { id: tenant.id, name: tenant.name } : null;
+        callState.schedule = scheduleState;
+
+        // Outbound calls get their own greeting and instructions with the call's purpose and context
+        if (direction === 'outbound' || outbound) {
+            callSettings = applyOutboundToSettings(callSettings, outbound || {});
+            callState.direction = 'outbound';
+            callState.outbound = outbound || null;
+        }
+
+        // Per-call turn detection goes over the tenant's (partial values keep the rest)
+        const turnDetectionOverride = callTurnDetection || outbound?.turn_detection || null;
+        if (turnDetectionOverride) {
+            callSettings = { ...callSettings, turn_detection: { ...callSettings.turn_detection, ...turnDetectionOverride } };
+        }
+        callState.turn_detection = buildTurnDetection(callSettings.turn_detection);
+        callState.turn_detection_source = turnDetectionOverride ? 'call' : 'settings';
+
+        // Flow state machine: outbound calls follow their purpose instead; calls start at the flow's initial state
+        if (callState.direction === 'outbound') {
+            callSettings = { ...callSettings, flow: null };
+        }
+        const flow = callSettings.flow || null;
+        callState.flow = flow ? { name: flow.name || null, initial_state: flow.initial_state } : null;
+        callState.current_state = flow ? flow.initial_state : 'A';
+        callState.flow_path = flow ? [{ state: flow.initial_state, from: null, entered_at: new Date().toISOString() }] : [];
+
+        console.log('✓ Using agent settings:');
+        console.log('  - Tenant:', tenant ? tenant.id : 'none', '(dialed:', calleeNumber || 'unknown', ')');
+        console.log('  - Voice:', getLanguageSettings(callSettings, callState.language).voice || callSettings.voice);
+        console.log('  - System message length:', callSettings.system_message ? callSettings.system_message.length : 'undefined');
+        console.log('  - Temperature:', callSettings.temperature);
+        console.log('  - Schedule:', scheduleState.status, `(${scheduleState.mode})`);
+        console.log('  - Direction:', callState.direction);
+        console.log('  - Language:', callState.language);
+        console.log('  - Experiment:', callState.experiment ? `${callState.experiment.id} -> ${callState.experiment.variant} (${callState.experiment.assignment})` : 'none');
+        console.log('  - Flow:', flow ? `${flow.name || 'unnamed'} (starts at ${flow.initial_state})` : 'prompt-only');
+    };
+
+    // Parse URL parameters
+    const urlParams = parseUrlParams(req.url || '');
+    if (urlParams.from) callerNumber = urlParams.from;
+    if (urlParams.to) calleeNumber = urlParams.to;
+    if (urlParams.callSid) callSid = urlParams.callSid;
+    if (urlParams.token) streamToken = urlParams.token;
+    if (urlParams.direction) direction = urlParams.direction;
+    console.log('[DEBUG] Parsed from URL - from:', callerNumber, 'to:', calleeNumber, 'callSid:', callSid);
+    resolveCallSettings();
+
+    // Try to attach saved webhook body
+    if (callSid && callMeta[callSid]) {
+        webhookBody = callMeta[callSid].webhookBody || null;
+        console.log('[DEBUG] Attached webhook body from callMeta');
+    }
+
+    // OpenAI WebSocket connection (opened once the stream token is verified)
+    let openAiWs = null;
+
+    // Create inactivity handler
+    const inactivityHandler = createInactivityHandler(() => openAiWs);
+    const dtmfHandler = createDtmfHandler(() => openAiWs, () => callState, () => conversationLog);
+
+    // Verify the stream token issued by /incoming-call for this call
+    const authorizeStream = () => {
+        if (streamAuthorized) return true;
+
+        const result = verifyStreamToken(streamToken, callSid);
+        if (!result.valid) {
+            console.warn(`[Twilio Auth] ✗ Rejected /media-stream connection (${result.reason}). Caller: ${callerNumber || 'unknown'}, callSid: ${callSid || 'unknown'}`);
+            return false;
+        }
+        streamAuthorized = true;
+        return true;
+    };
+
+    // Close the media stream without ever opening an OpenAI session
+    const rejectStream = () => {
+        streamRejected = true;
+        transport.close(1008, 'Unauthorized');
+    };
+
+    // Initialize OpenAI session
+    const initializeSession = () => {
+        console.log('[initializeSession] Using system_message length:', callSettings.system_message ? callSettings.system_message.length : 'undefined', 'voice:', callSettings.voice);
+        const sessionUpdate = createSessionUpdate(callSettings, transport.audioFormat, { flowState: callState.current_state, language: callState.language });
+        console.log('Sending session update:', JSON.stringify(sessionUpdate));
+        openAiWs.send(JSON.stringify(sessionUpdate));
+        sessionInitialized = true;
+
+        if (streamSid && shouldSendInitialGreeting) {
+            console.log('[initializeSession] Conditions met. Sending initial greeting.');
+            shouldSendInitialGreeting = false;
+            sendInitialConversationItem();
+        }
+    };
+
+    // Push the current flow state's and language's instructions (after a flow transition or set_language)
+    const refreshInstructions = () => {
+        if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+            openAiWs.send(JSON.stringify(createInstructionsUpdate(callSettings, { flowState: callState.current_state, language: callState.language })));
+        }
+    };
+
+    // Send initial greeting (caller context injected separately after phone lookup)
+    const sendInitialConversationItem = () => {
+        console.log('[sendInitialConversationItem] Sending initial greeting to OpenAI');
+        const greetingText = callSettings.initial_greeting || 'Greet the user with : Hi there, How are you today?';
+        const initialConversationItem = createInitialGreeting(greetingText);
+        openAiWs.send(JSON.stringify(initialConversationItem));
+        openAiWs.send(JSON.stringify({ type: 'response.create' }));
+    };
+
+    // Handle speech interruption
+    const handleSpeechStartedEvent = () => {
+        if (markQueue.length > 0 && responseStartTimestampTwilio != null) {
+            const elapsedTime = latestMediaTimestamp - responseStartTimestampTwilio;
+
+            if (lastAssistantItem) {
+                const truncateEvent = {
+                    type: 'conversation.item.truncate',
+                    item_id: lastAssistantItem,
+                    content_index: 0,
+                    audio_end_ms: elapsedTime
+                };
+                openAiWs.send(JSON.stringify(truncateEvent));
             }
 
-            // Create OpenAI WebSocket connection
-            const openAiWs = new WebSocket(getOpenAIWebSocketUrl(callSettings.temperature), {
-                headers: getOpenAIWebSocketHeaders()
+            transport.clearAudio();
+            callState.interruptions++;
+
+            markQueue = [];
+            lastAssistantItem = null;
+            responseStartTimestampTwilio = null;
+        }
+    };
+
+    // Send a playback mark (echoed back by the transport once the audio has played)
+    const sendMark = () => {
+        if (transport.sendMark('responsePart')) {
+            markQueue.push('responsePart');
+        }
+    };
+
+    // Transcribe caller audio in the call's current language
+    const transcribeCallerAudio = async () => {
+        const transcriptionLanguage = getTranscriptionLanguage(callSettings, callState.language);
+        const transcribedText = await transcribeAudio(callerAudioChunks, transport.audioFormat, transcriptionLanguage);
+        if (transcribedText) {
+            conversationLog.push({
+                role: 'user',
+                content: transcribedText,
+                language: transcriptionLanguage,
+                timestamp: new Date().toISOString()
             });
+            console.log(`[Transcript] User: ${transcribedText}`);
+        }
+        callerAudioChunks = [];
+    };
 
-            // Create inactivity handler
-            const inactivityHandler = createInactivityHandler(openAiWs);
-
-            // Initialize OpenAI session
-            const initializeSession = () => {
-                console.log('[initializeSession] Using system_message length:', callSettings.system_message ? callSettings.system_message.length : 'undefined', 'voice:', callSettings.voice);
-                const sessionUpdate = createSessionUpdate(callSettings);
-                console.log('Sending session update:', JSON.stringify(sessionUpdate));
-                openAiWs.send(JSON.stringify(sessionUpdate));
-                sessionInitialized = true;
-
-                if (streamSid && shouldSendInitialGreeting) {
-                    console.log('[initializeSession] Conditions met. Sending initial greeting.');
-                    shouldSendInitialGreeting = false;
-                    sendInitialConversationItem();
-                }
-            };
+    // OpenAI WebSocket message handler
+    const handleOpenAIMessage = async (data) => {
+        try {
+            const response = JSON.parse(data);
 
-            // Send initial greeting (caller context injected separately after phone lookup)
-            const sendInitialConversationItem = () => {
-                console.log('[sendInitialConversationItem] Sending initial greeting to OpenAI');
-                const greetingText = callSettings.initial_greeting || 'Greet the user with : Hi there, How are you today?';
-                const initialConversationItem = createInitialGreeting(greetingText);
-                openAiWs.send(JSON.stringify(initialConversationItem));
-                openAiWs.send(JSON.stringify({ type: 'response.create' }));
-            };
+            allEvents.push({
+                type: response.type,
+                keys: Object.keys(response),
+                timestamp: new Date().toISOString()
+            });
 
-            // Handle speech interruption
-            const handleSpeechStartedEvent = () => {
-                if (markQueue.length > 0 && responseStartTimestampTwilio != null) {
-                    const elapsedTime = latestMediaTimestamp - responseStartTimestampTwilio;
-
-                    if (lastAssistantItem) {
-                        const truncateEvent = {
-                            type: 'conversation.item.truncate',
-                            item_id: lastAssistantItem,
-                            content_index: 0,
-                            audio_end_ms: elapsedTime
-                        };
-                        openAiWs.send(JSON.stringify(truncateEvent));
-                    }
+            console.log(`[EVENT] ${response.type}`);
 
-                    connection.send(JSON.stringify({
-                        event: 'clear',
-                        streamSid: streamSid
-                    }));
+            if (LOG_EVENT_TYPES.includes(response.type)) {
+                console.log(`[EVENT_DETAIL] ${response.type}`, response);
+            }
 
-                    markQueue = [];
-                    lastAssistantItem = null;
-                    responseStartTimestampTwilio = null;
+            // Handle rate_limits.updated for token tracking
+            if (response.type === 'rate_limits.updated') {
+                if (response.rate_limits) {
+                    callState.tokens_input = response.rate_limits.input_tokens || 0;
+                    callState.tokens_output = response.rate_limits.output_tokens || 0;
+                    callState.cost_dollars = calculateTokenCost(
+                        callState.tokens_input, 
+                        callState.tokens_output, 
+                        callSettings.pricing
+                    );
+                    console.log(`[TOKENS] Input: ${callState.tokens_input}, Output: ${callState.tokens_output}, Cost: $${callState.cost_dollars.toFixed(6)}`);
                 }
-            };
+            }
 
-            // Send mark to Twilio
-            const sendMark = (connection, streamSid) => {
-                if (streamSid) {
-                    const markEvent = {
-                        event: 'mark',
-                        streamSid: streamSid,
-                        mark: { name: 'responsePart' }
-                    };
-                    connection.send(JSON.stringify(markEvent));
-                    markQueue.push('responsePart');
+            // Handle function calls (see handlers/tools.js)
+            if (response.type === 'response.function_call_arguments.done') {
+                await executeToolCall(response, {
+                    callState,
+                    callSid,
+                    callerNumber,
+                    conversationLog,
+                    callSettings,
+                    transport,
+                    openAiWs,
+                    // Current socket for handlers that reply later (session recovery may replace openAiWs)
+                    getOpenAiWs: () => openAiWs,
+                    refreshInstructions
+                });
+            }
+
+            // Handle caller speech detection
+            if (response.type === 'input_audio_buffer.speech_started') {
+                console.log('[CALLER SPEAKING] Speech detected');
+                
+                if (silenceTimer) {
+                    clearTimeout(silenceTimer);
+                    silenceTimer = null;
                 }
-            };
+                
+                inactivityHandler.resetInactivityTimer();
+                aiResponseComplete = false; // Caller is speaking, reset response tracking
+                
+                waitingForCaller = false;
+                silenceCount = 0;
+                callerSpokeSinceLastResponse = true;
+                conversationTurns++;
+                
+                if (!USE_REALTIME_TRANSCRIPTION) {
+                    isCapturingCallerSpeech = true;
+                    callerAudioChunks = [];
+                }
+            }
 
-            // Transcribe caller audio
-            const transcribeCallerAudio = async () => {
-                const transcribedText = await transcribeAudio(callerAudioChunks);
-                if (transcribedText) {
+            // Handle realtime transcription
+            if (
+                response.type === 'input_audio_transcript.done' ||
+                response.type === 'input_audio_transcription.done'
+            ) {
+                const transcriptText = response.transcript || response.text || '';
+                if (transcriptText && transcriptText.trim()) {
                     conversationLog.push({
                         role: 'user',
-                        content: transcribedText,
+                        content: transcriptText,
                         timestamp: new Date().toISOString()
                     });
-                    console.log(`[Transcript] User: ${transcribedText}`);
+                    console.log(`[Transcript] User (realtime): ${transcriptText}`);
                 }
-                callerAudioChunks = [];
+            }
+
+            // Capture conversation items
+            // (items replayed after a reconnect are already in the log)
+            if (response.type === 'conversation.item.added' && response.item && !String(response.item.id || '').startsWith(RECOVERY_ITEM_PREFIX)) {
+                const item = response.item;
+                
+                if (item.role === 'user' && item.content && Array.isArray(item.content)) {
+                    const textContent = item.content.find(c => c.type === 'input_text');
+                    if (textContent && textContent.text) {
+                        conversationLog.push({
+                            role: 'user',
+                            content: textContent.text,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                }
+                
+                if (item.role === 'assistant' && item.content && Array.isArray(item.content)) {
+                    const textContent = item.content.find(c => c.type === 'text');
+                    if (textContent && textContent.text) {
+                        conversationLog.push({
+                            role: 'assistant',
+                            content: textContent.text,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                }
+            }
+
+            // Capture assistant transcript
+            if (response.type === 'response.output_audio_transcript.done' && response.transcript) {
+                const lastEntry = conversationLog[conversationLog.length - 1];
+                if (!lastEntry || lastEntry.content !== response.transcript || lastEntry.role !== 'assistant') {
+                    const entry = {
+                        role: 'assistant',
+                        content: response.transcript,
+                        timestamp: new Date().toISOString()
+                    };
+                    // First answer after a knowledge base search cites the passages it was given
+                    if (callState.knowledge_base_pending_sources) {
+                        entry.sources = callState.knowledge_base_pending_sources;
+                        callState.knowledge_base_pending_sources = null;
+                    }
+                    conversationLog.push(entry);
+                }
+            }
+            
+            // Track when AI response is complete (but audio may still be playing)
+            // The actual inactivity timer will start when the last mark is received
+            // indicating audio playback has finished
+            if (response.type === 'response.done') {
+                aiResponseComplete = true;
+                console.log('[AI Response] Generation complete. Waiting for audio playback to finish...');
+            }
+
+            // Handle audio output
+            if (response.type === 'response.output_audio.delta' && response.delta) {
+                if (!streamSid) {
+                    pendingAudioDeltas.push(response.delta);
+                    return;
+                }
+                
+                transport.sendAudio(response.delta);
+
+                if (!responseStartTimestampTwilio) {
+                    responseStartTimestampTwilio = latestMediaTimestamp;
+                }
+
+                if (response.item_id) {
+                    lastAssistantItem = response.item_id;
+                }
+
+                sendMark();
+            }
+
+            // Handle speech stopped
+            if (response.type === 'input_audio_buffer.speech_stopped') {
+                handleSpeechStartedEvent();
+                
+                if (!USE_REALTIME_TRANSCRIPTION && isCapturingCallerSpeech) {
+                    isCapturingCallerSpeech = false;
+                    transcribeCallerAudio().catch(err => console.error('[Whisper] Transcription error:', err));
+                }
+            }
+
+        } catch (error) {
+            console.error('Error processing OpenAI message:', error);
+        }
+    };
+
+    // AI pipeline failed (connect timeout, error, early close): move the caller to voicemail
+    const handleAIPipelineFailure = async (reason) => {
+        if (aiFailure || twilioStreamEnded || streamRejected) return;
+
+        console.error(`[AI Failure] OpenAI pipeline unavailable (${reason}). Falling back to voicemail.`);
+        const transcriptFilename = buildTranscriptFilename(callerNumber, calleeNumber, callStartTime);
+        aiFailure = {
+            reason: reason,
+            detected_at: new Date().toISOString(),
+            voicemail_redirect: false,
+            voicemail_error: null,
+            voicemail_file: transcriptFilename.replace(/\.json$/, '-voicemail.json')
+        };
+        callState.disconnected_by = 'system';
+        callState.disconnect_reason = 'ai_unavailable';
+
+        inactivityHandler.clearTimers();
+        if (openAiConnectTimer) {
+            clearTimeout(openAiConnectTimer);
+            openAiConnectTimer = null;
+        }
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+
+        // Redirecting the live call ends this stream and plays the voicemail TwiML
+        expectVoicemail(callSid, transcriptFilename);
+        const twiml = buildVoicemailTwiml(getPublicBaseUrl(req), callSettings.fallback_voicemail_message || 'Sorry, we are having technical difficulties. Please leave a message after the beep.', 'ai_unavailable', callSettings.connect_voice);
+        const result = transport.controlsCall
+            ? await redirectCall(callSid, twiml)
+            : { success: false, error: `${transport.name} transport cannot redirect calls` };
+        aiFailure.voicemail_redirect = result.success;
+        aiFailure.voicemail_error = result.success ? null : result.error;
+
+        if (!result.success) {
+            aiFailure.voicemail_file = null;
+            // Nothing else to play - end the stream rather than leave the caller in dead air
+            transport.close();
+        }
+
+        sendPipelineFailureAlert({
+            ...aiFailure,
+            callSid: callSid,
+            callerNumber: callerNumber,
+            calleeNumber: calleeNumber,
+            tenant: callState.tenant
+        }).catch(err => console.error('[AI Failure] Alert error:', err.message));
+    };
+
+    // Finish the current outage record (recovered, or given up on)
+    const endOutage = (recovered) => {
+        if (!currentOutage) return;
+        currentOutage.recovered = recovered;
+        currentOutage.ended_at = new Date().toISOString();
+        currentOutage.downtime_ms = Date.now() - Date.parse(currentOutage.started_at);
+        currentOutage = null;
+    };
+
+    // Rebuild the conversation in a reconnected session and let the AI pick up where it left off
+    // greetingPending: dropped before the greeting went out - the new session just greets instead
+    const restoreSession = (greetingPending) => {
+        const outage = currentOutage;
+        endOutage(true);
+        console.log(`[OpenAI Recovery] ✓ Reconnected after ${outage.downtime_ms}ms (${outage.attempts} attempt(s))`);
+
+        if (greetingPending) return;
+
+        createRecoveryItems(conversationLog, callState, OPENAI_RECOVERY_SETTINGS.MAX_REPLAY_ITEMS)
+            .forEach(item => openAiWs.send(JSON.stringify(item)));
+        openAiWs.send(JSON.stringify({ type: 'response.create' }));
+    };
+
+    // OpenAI socket failed: reconnect if the call already had a working session, otherwise voicemail
+    const handleOpenAIDisconnect = (reason) => {
+        if (aiFailure || twilioStreamEnded || streamRejected) return;
+        if (openAiConnectTimer) {
+            clearTimeout(openAiConnectTimer);
+            openAiConnectTimer = null;
+        }
+
+        if (!sessionInitialized) {
+            handleAIPipelineFailure(reason);
+            return;
+        }
+
+        if (!currentOutage) {
+            console.warn(`[OpenAI Recovery] Connection lost (${reason}) - reconnecting`);
+            currentOutage = {
+                reason: reason,
+                started_at: new Date().toISOString(),
+                ended_at: null,
+                attempts: 0,
+                last_error: null,
+                recovered: false,
+                downtime_ms: null
             };
+            openAiOutages.push(currentOutage);
 
-            // OpenAI WebSocket open handler
-            openAiWs.on('open', async () => {
-                console.log('Connected to the OpenAI Realtime API');
-                setTimeout(initializeSession, 100);
-            });
+            // Drop the interrupted response and pause inactivity checks until the AI is back
+            inactivityHandler.clearTimers();
+            transport.clearAudio();
+            markQueue = [];
+            lastAssistantItem = null;
+            responseStartTimestampTwilio = null;
+            pendingAudioDeltas = [];
+        }
+        currentOutage.last_error = reason;
 
-            // OpenAI WebSocket message handler
-            openAiWs.on('message', async (data) => {
-                try {
-                    const response = JSON.parse(data);
+        if (currentOutage.attempts >= OPENAI_RECOVERY_SETTINGS.MAX_ATTEMPTS) {
+            const { reason: outageReason, attempts } = currentOutage;
+            endOutage(false);
+            handleAIPipelineFailure(`${outageReason} - ${attempts} reconnect attempt(s) failed`);
+            return;
+        }
 
-                    allEvents.push({
-                        type: response.type,
-                        keys: Object.keys(response),
-                        timestamp: new Date().toISOString()
-                    });
+        currentOutage.attempts++;
+        const delay = OPENAI_RECOVERY_SETTINGS.RETRY_DELAY_MS * currentOutage.attempts;
+        console.log(`[OpenAI Recovery] Attempt ${currentOutage.attempts}/${OPENAI_RECOVERY_SETTINGS.MAX_ATTEMPTS} in ${delay}ms`);
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (!twilioStreamEnded && !aiFailure) {
+                connectToOpenAI();
+            }
+        }, delay);
+    };
 
-                    console.log(`[EVENT] ${response.type}`);
+    // Open the OpenAI Realtime connection and attach its handlers
+    const connectToOpenAI = () => {
+        // Count this call against MAX_CONCURRENT_CALLS until the stream closes
+        if (!sessionId) {
+            sessionId = acquireSession(callSid, reservation || callSid);
+        }
 
-                    if (LOG_EVENT_TYPES.includes(response.type)) {
-                        console.log(`[EVENT_DETAIL] ${response.type}`, response);
-                    }
+        const socket = new WebSocket(getOpenAIWebSocketUrl(callSettings.temperature), {
+            headers: getOpenAIWebSocketHeaders()
+        });
+        openAiWs = socket;
 
-                    // Handle rate_limits.updated for token tracking
-                    if (response.type === 'rate_limits.updated') {
-                        if (response.rate_limits) {
-                            callState.tokens_input = response.rate_limits.input_tokens || 0;
-                            callState.tokens_output = response.rate_limits.output_tokens || 0;
-                            callState.cost_dollars = calculateTokenCost(
-                                callState.tokens_input, 
-                                callState.tokens_output, 
-                                callSettings.pricing
-                            );
-                            console.log(`[TOKENS] Input: ${callState.tokens_input}, Output: ${callState.tokens_output}, Cost: $${callState.cost_dollars.toFixed(6)}`);
-                        }
-                    }
+        // 'error' and 'close' both fire for one failure - handle it once, and only for the current socket
+        let socketFailed = false;
+        const handleSocketFailure = (reason) => {
+            if (socketFailed || socket !== openAiWs) return;
+            socketFailed = true;
+            handleOpenAIDisconnect(reason);
+        };
 
-                    // Handle function calls
-                    if (response.type === 'response.function_call_arguments.done') {
-                        const functionName = response.name;
-                        const args = JSON.parse(response.arguments || '{}');
-                        console.log(`[Function Call] ${functionName}`, args);
+        // Fail over if the socket does not open in time
+        openAiConnectTimer = setTimeout(() => {
+            openAiConnectTimer = null;
+            if (socket.readyState !== WebSocket.OPEN) {
+                handleSocketFailure('connect_timeout');
+                socket.terminate();
+            }
+        }, OPENAI_CONNECT_TIMEOUT_MS);
 
-                        if (functionName === 'save_caller_info') {
-                            callState = handleSaveCallerInfo(args, callState, callerNumber, response, openAiWs);
-                        }
-                        
-                        if (functionName === 'route_call') {
-                            callState = handleRouteCall(args, callState, response, openAiWs);
-                        }
-                        
-                        if (functionName === 'get_pricing_details') {
-                            await handleGetPricingDetails(args, response, openAiWs);
-                        }
+        socket.on('open', async () => {
+            console.log('Connected to the OpenAI Realtime API');
+            if (openAiConnectTimer) {
+                clearTimeout(openAiConnectTimer);
+                openAiConnectTimer = null;
+            }
+            setTimeout(() => {
+                if (socket !== openAiWs || socket.readyState !== WebSocket.OPEN) return;
+                const greetingPending = shouldSendInitialGreeting;
+                initializeSession();
+                if (currentOutage) {
+                    restoreSession(greetingPending);
+                }
+            }, 100);
+        });
 
-                        if (functionName === 'get_interface_screenshots') {
-                            await handleGetInterfaceScreenshots(args, response, openAiWs);
-                        }
+        socket.on('message', handleOpenAIMessage);
 
-                        if (functionName === 'end_call') {
-                            callState = await handleEndCall(args, callState, callSid, response, openAiWs, connection);
-                        }
-                    }
+        socket.on('close', (code, reason) => {
+            console.log(`Disconnected from OpenAI. Code: ${code}, Reason: ${reason}`);
+            // Closed while the caller is still on the line
+            if (!twilioStreamEnded) {
+                handleSocketFailure(`openai_closed_${code}`);
+            }
+        });
 
-                    // Handle caller speech detection
-                    if (response.type === 'input_audio_buffer.speech_started') {
-                        console.log('[CALLER SPEAKING] Speech detected');
-                        
-                        if (silenceTimer) {
-                            clearTimeout(silenceTimer);
-                            silenceTimer = null;
-                        }
-                        
-                        inactivityHandler.resetInactivityTimer();
-                        aiResponseComplete = false; // Caller is speaking, reset response tracking
-                        
-                        waitingForCaller = false;
-                        silenceCount = 0;
-                        callerSpokeSinceLastResponse = true;
-                        conversationTurns++;
-                        
-                        if (!USE_REALTIME_TRANSCRIPTION) {
-                            isCapturingCallerSpeech = true;
-                            callerAudioChunks = [];
-                        }
-                    }
+        socket.on('error', (error) => {
+            console.error('Error in OpenAI WebSocket:', error);
+            handleSocketFailure(`openai_error: ${error.message}`);
+        });
+    };
 
-                    // Handle realtime transcription
-                    if (
-                        response.type === 'input_audio_transcript.done' ||
-                        response.type === 'input_audio_transcription.done'
-                    ) {
-                        const transcriptText = response.transcript || response.text || '';
-                        if (transcriptText && transcriptText.trim()) {
-                            conversationLog.push({
-                                role: 'user',
-                                content: transcriptText,
-                                timestamp: new Date().toISOString()
-                            });
-                            console.log(`[Transcript] User (realtime): ${transcriptText}`);
-                        }
+    // Token in the stream URL: verify now and connect without waiting for the start event.
+    // Otherwise the token arrives as a <Parameter> in the start event.
+    // Pre-authorized transports wait for their start event, which carries the call details.
+    if (authorized) {
+        // Connect on start
+    } else if (streamAuthorized) {
+        connectToOpenAI();
+    } else if (streamToken) {
+        if (authorizeStream()) {
+            connectToOpenAI();
+        } else {
+            rejectStream();
+            return;
+        }
+    }
+
+    // Media transport event handler (start, media, mark, dtmf, stop)
+    transport.onEvent((event) => {
+        try {
+            switch (event.type) {
+                case 'media':
+                    latestMediaTimestamp = event.timestamp;
+                    
+                    if (isCapturingCallerSpeech && event.payload) {
+                        callerAudioChunks.push(event.payload);
                     }
 
-                    // Capture conversation items
-                    if (response.type === 'conversation.item.added' && response.item) {
-                        const item = response.item;
-                        
-                        if (item.role === 'user' && item.content && Array.isArray(item.content)) {
-                            const textContent = item.content.find(c => c.type === 'input_text');
-                            if (textContent && textContent.text) {
-                                conversationLog.push({
-                                    role: 'user',
-                                    content: textContent.text,
-                                    timestamp: new Date().toISOString()
-                                });
-                            }
-                        }
-                        
-                        if (item.role === 'assistant' && item.content && Array.isArray(item.content)) {
-                            const textContent = item.content.find(c => c.type === 'text');
-                            if (textContent && textContent.text) {
-                                conversationLog.push({
-                                    role: 'assistant',
-                                    content: textContent.text,
-                                    timestamp: new Date().toISOString()
-                                });
-                            }
+                    if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+                        const audioAppend = {
+                            type: 'input_audio_buffer.append',
+                            audio: event.payload
+                        };
+                        openAiWs.send(JSON.stringify(audioAppend));
+                    }
+                    break;
+                    
+                case 'start':
+                    streamSid = event.streamId;
+                    
+                    // Extract caller info from start event (Twilio: <Parameter> values)
+                    callSid = event.callSid || callSid || null;
+                    callerNumber = event.from || callerNumber || null;
+                    calleeNumber = event.to || calleeNumber || null;
+                    if (event.token) streamToken = event.token;
+                    if (event.direction) direction = event.direction;
+                    if (event.language) callLanguage = event.language;
+                    if (event.turnDetection) {
+                        const turnDetectionError = validateTurnDetection(event.turnDetection);
+                        if (turnDetectionError) {
+                            console.warn(`[Session] Ignoring start turn_detection: ${turnDetectionError}`);
+                        } else {
+                            callTurnDetection = event.turnDetection;
                         }
                     }
 
-                    // Capture assistant transcript
-                    if (response.type === 'response.output_audio_transcript.done' && response.transcript) {
-                        const lastEntry = conversationLog[conversationLog.length - 1];
-                        if (!lastEntry || lastEntry.content !== response.transcript || lastEntry.role !== 'assistant') {
-                            conversationLog.push({
-                                role: 'assistant',
-                                content: response.transcript,
-                                timestamp: new Date().toISOString()
-                            });
-                        }
+                    // Attach webhook body
+                    if (callSid && callMeta[callSid]) {
+                        webhookBody = callMeta[callSid].webhookBody || null;
+                        delete callMeta[callSid];
                     }
-                    
-                    // Track when AI response is complete (but audio may still be playing)
-                    // The actual inactivity timer will start when the last mark is received
-                    // indicating audio playback has finished
-                    if (response.type === 'response.done') {
-                        aiResponseComplete = true;
-                        console.log('[AI Response] Generation complete. Waiting for audio playback to finish...');
+
+                    if (!callerNumber && webhookBody) {
+                        callerNumber = webhookBody.From || webhookBody.from || null;
                     }
 
-                    // Handle audio output
-                    if (response.type === 'response.output_audio.delta' && response.delta) {
-                        if (!streamSid) {
-                            pendingAudioDeltas.push(response.delta);
-                            return;
-                        }
-                        
-                        const audioDelta = {
-                            event: 'media',
-                            streamSid: streamSid,
-                            media: { payload: response.delta }
-                        };
-                        connection.send(JSON.stringify(audioDelta));
+                    console.log('Stream started:', streamSid, 'caller:', callerNumber, 'callee:', calleeNumber, 'callSid:', callSid);
 
-                        if (!responseStartTimestampTwilio) {
-                            responseStartTimestampTwilio = latestMediaTimestamp;
+                    // Verify the token from the start parameters before opening the OpenAI socket
+                    if (!openAiWs) {
+                        if (!authorizeStream()) {
+                            rejectStream();
+                            break;
                         }
+                        // The dialed number may only be known now - re-resolve the tenant before the session starts
+                        resolveCallSettings();
+                        connectToOpenAI();
+                    }
 
-                        if (response.item_id) {
-                            lastAssistantItem = response.item_id;
-                        }
+                    // Let /call-status and /recording-status merge late updates into this call's transcript
+                    trackStreamCall(callSid);
 
-                        sendMark(connection, streamSid);
+                    // Flush pending audio immediately
+                    if (pendingAudioDeltas.length > 0) {
+                        pendingAudioDeltas.forEach((delta) => transport.sendAudio(delta));
+                        pendingAudioDeltas = [];
                     }
 
-                    // Handle speech stopped
-                    if (response.type === 'input_audio_buffer.speech_stopped') {
-                        handleSpeechStartedEvent();
-                        
-                        if (!USE_REALTIME_TRANSCRIPTION && isCapturingCallerSpeech) {
-                            isCapturingCallerSpeech = false;
-                            transcribeCallerAudio().catch(err => console.error('[Whisper] Transcription error:', err));
-                        }
+                    // Send initial greeting IMMEDIATELY (no wait for phone lookup)
+                    if (sessionInitialized && shouldSendInitialGreeting) {
+                        shouldSendInitialGreeting = false;
+                        sendInitialConversationItem();
                     }
 
-                } catch (error) {
-                    console.error('Error processing OpenAI message:', error);
-                }
-            });
-
-            // Twilio WebSocket message handler
-            connection.on('message', (message) => {
-                try {
-                    const data = JSON.parse(message);
-
-                    switch (data.event) {
-                        case 'media':
-                            latestMediaTimestamp = data.media.timestamp;
-                            
-                            if (isCapturingCallerSpeech && data.media.payload) {
-                                callerAudioChunks.push(data.media.payload);
-                            }
-
-                            if (openAiWs.readyState === WebSocket.OPEN) {
-                                const audioAppend = {
-                                    type: 'input_audio_buffer.append',
-                                    audio: data.media.payload
-                                };
-                                openAiWs.send(JSON.stringify(audioAppend));
-                            }
-                            break;
-                            
-                        case 'start':
-                            streamSid = data.start.streamSid;
-                            
-                            // Extract caller info from start event
-                            callSid = data.start.callSid || data.start.CallSid || callSid || null;
-                            callerNumber = data.start.from || data.start.From || callerNumber || null;
-                            calleeNumber = data.start.to || data.start.To || calleeNumber || null;
-
-                            // Process parameters
-                            const params = data.start.parameters || null;
-                            if (params) {
-                                if (Array.isArray(params)) {
-                                    params.forEach((p) => {
-                                        if (p && p.name && p.value) {
-                                            const nameLC = p.name.toLowerCase();
-                                            if (nameLC === 'from') callerNumber = p.value;
-                                            if (nameLC === 'to') calleeNumber = p.value;
-                                            if (nameLC === 'callsid') callSid = p.value;
-                                        }
-                                    });
-                                } else if (typeof params === 'object') {
-                                    Object.entries(params).forEach(([k, v]) => {
-                                        const keyLC = String(k).toLowerCase();
-                                        if (keyLC === 'from') callerNumber = v;
-                                        if (keyLC === 'to') calleeNumber = v;
-                                        if (keyLC === 'callsid') callSid = v;
+                    // Phone lookup runs in BACKGROUND (non-blocking)
+                    // Once complete, inject caller context into the conversation
+                    (async () => {
+                        if (callerNumber) {
+                            callState.phone_lookup_performed = true;
+                            const propertyData = await lookupPropertyByPhone(callerNumber, callSettings.phone_mappings_file);
+                            if (propertyData) {
+                                // Caller found - likely existing client
+                                callState.property_id = propertyData.property_id;
+                                callState.property_name = propertyData.property_name;
+                                callState.phone_lookup_found = true;
+                                callState.phone_lookup_source = callSettings.phone_mappings_file || 'phone-mappings.json';
+                                
+                                // New fields for caller status
+                                callState.is_likely_existing_client = propertyData.is_existing_client;
+                                callState.property_count = propertyData.property_count;
+                                callState.has_multiple_properties = propertyData.has_multiple_properties;
+                                callState.all_properties = propertyData.properties;
+                                
+                                // Build context message for AI
+                                let contextMessage = '';
+                                if (propertyData.has_multiple_properties) {
+                                    const propertyList = propertyData.properties
+                                        .map(p => `"${p.property_name}" (ID: ${p.property_id})`)
+                                        .join(', ');
+                                    contextMessage = `[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup completed. This caller is LIKELY AN EXISTING CLIENT with ${propertyData.property_count} properties: ${propertyList}. They may be calling about any of these properties. Ask which property they are calling about if relevant. Route to SUPPORT unless they indicate otherwise.]`;
+                                    console.log(`[Phone Lookup] ★ EXISTING CLIENT with ${propertyData.property_count} PROPERTIES:`);
+                                    propertyData.properties.forEach((p, i) => {
+                                        console.log(`   ${i + 1}. ${p.property_name} (ID: ${p.property_id})`);
                                     });
+                                } else {
+                                    contextMessage = `[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup completed. This caller is LIKELY AN EXISTING CLIENT associated with property "${callState.property_name}" (ID: ${callState.property_id}). This caller is probably calling for SUPPORT. Confirm if this is the property they're calling about.]`;
+                                    console.log(`[Phone Lookup] ★ LIKELY EXISTING CLIENT: ${callState.property_name} (ID: ${callState.property_id})`);
+                                }
+                                
+                                // Inject context into conversation (AI will see this as background info)
+                                if (openAiWs.readyState === WebSocket.OPEN) {
+                                    console.log('[Phone Lookup] Injecting caller context into AI session');
+                                    const contextItem = {
+                                        type: 'conversation.item.create',
+                                        item: {
+                                            type: 'message',
+                                            role: 'user',
+                                            content: [{ type: 'input_text', text: contextMessage }]
+                                        }
+                                    };
+                                    openAiWs.send(JSON.stringify(contextItem));
+                                }
+                            } else {
+                                callState.phone_lookup_found = false;
+                                callState.is_likely_existing_client = false;
+                                callState.property_count = 0;
+                                callState.has_multiple_properties = false;
+                                console.log('[Phone Lookup] Caller not found in database - likely new prospect');
+                                
+                                // Optionally inject "new prospect" context
+                                if (openAiWs.readyState === WebSocket.OPEN) {
+                                    const contextItem = {
+                                        type: 'conversation.item.create',
+                                        item: {
+                                            type: 'message',
+                                            role: 'user',
+                                            content: [{ type: 'input_text', text: '[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup found no matching records. This caller is likely a NEW PROSPECT. Follow the sales flow unless they indicate they are an existing client.]' }]
+                                        }
+                                    };
+                                    openAiWs.send(JSON.stringify(contextItem));
                                 }
                             }
+                        } else {
+                            callState.phone_lookup_performed = true;
+                            callState.phone_lookup_found = false;
+                            callState.is_likely_existing_client = false;
+                        }
+                    })();
 
-                            // Attach webhook body
-                            if (callSid && callMeta[callSid]) {
-                                webhookBody = callMeta[callSid].webhookBody || null;
-                                delete callMeta[callSid];
-                            }
-
-                            if (!callerNumber && webhookBody) {
-                                callerNumber = webhookBody.From || webhookBody.from || null;
+                    // Start recording (saved next to the transcript by /recording-status)
+                    if (callSid && transport.controlsCall && callSettings.recording?.enabled !== false) {
+                        startRecording(callSid, {
+                            channels: callSettings.recording?.channels || 'dual',
+                            statusCallback: `${getPublicBaseUrl(req)}/recording-status`
+                        }).then(result => {
+                            if (result.success) {
+                                recordingSid = result.recordingSid;
                             }
+                        });
+                    }
 
-                            console.log('Stream started:', streamSid, 'caller:', callerNumber, 'callee:', calleeNumber, 'callSid:', callSid);
+                    responseStartTimestampTwilio = null;
+                    latestMediaTimestamp = 0;
+                    break;
+                    
+                case 'dtmf':
+                    // Keypad input counts as the caller responding
+                    inactivityHandler.resetInactivityTimer();
+                    dtmfHandler.handleDigit(event.digit);
+                    break;
 
-                            // Flush pending audio immediately
-                            if (pendingAudioDeltas.length > 0) {
-                                pendingAudioDeltas.forEach((delta) => {
-                                    const audioDelta = {
-                                        event: 'media',
-                                        streamSid: streamSid,
-                                        media: { payload: delta }
-                                    };
-                                    connection.send(JSON.stringify(audioDelta));
-                                });
-                                pendingAudioDeltas = [];
-                            }
+                case 'stop':
+                    twilioStreamEnded = true;
+                    console.log('[Twilio stop] Call ended. Saving transcript.');
+                    saveTranscript().catch(err => console.error('[Twilio stop] Error:', err));
+                    break;
+                    
+                case 'mark':
+                    if (markQueue.length > 0) {
+                        markQueue.shift();
+                    }
+                    // When all marks are cleared and AI response is complete,
+                    // audio has finished playing - NOW start inactivity timer
+                    if (markQueue.length === 0 && aiResponseComplete) {
+                        console.log('[Inactivity] Audio playback finished. Starting inactivity timer now.');
+                        inactivityHandler.startInactivityTimer();
+                        aiResponseComplete = false; // Reset for next response
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error(`Error handling ${transport.name} event:`, error);
+        }
+    });
 
-                            // Send initial greeting IMMEDIATELY (no wait for phone lookup)
-                            if (sessionInitialized && shouldSendInitialGreeting) {
-                                shouldSendInitialGreeting = false;
-                                sendInitialConversationItem();
-                            }
+    // Save transcript function
+    const saveTranscript = async () => {
+        // Rejected streams never reached the AI - nothing to record
+        if (streamRejected) return;
 
-                            // Phone lookup runs in BACKGROUND (non-blocking)
-                            // Once complete, inject caller context into the conversation
-                            (async () => {
-                                if (callerNumber) {
-                                    callState.phone_lookup_performed = true;
-                                    const propertyData = await lookupPropertyByPhone(callerNumber);
-                                    if (propertyData) {
-                                        // Caller found - likely existing client
-                                        callState.property_id = propertyData.property_id;
-                                        callState.property_name = propertyData.property_name;
-                                        callState.phone_lookup_found = true;
-                                        callState.phone_lookup_source = 'phone-mappings.json';
-                                        
-                                        // New fields for caller status
-                                        callState.is_likely_existing_client = propertyData.is_existing_client;
-                                        callState.property_count = propertyData.property_count;
-                                        callState.has_multiple_properties = propertyData.has_multiple_properties;
-                                        callState.all_properties = propertyData.properties;
-                                        
-                                        // Build context message for AI
-                                        let contextMessage = '';
-                                        if (propertyData.has_multiple_properties) {
-                                            const propertyList = propertyData.properties
-                                                .map(p => `"${p.property_name}" (ID: ${p.property_id})`)
-                                                .join(', ');
-                                            contextMessage = `[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup completed. This caller is LIKELY AN EXISTING CLIENT with ${propertyData.property_count} properties: ${propertyList}. They may be calling about any of these properties. Ask which property they are calling about if relevant. Route to SUPPORT unless they indicate otherwise.]`;
-                                            console.log(`[Phone Lookup] ★ EXISTING CLIENT with ${propertyData.property_count} PROPERTIES:`);
-                                            propertyData.properties.forEach((p, i) => {
-                                                console.log(`   ${i + 1}. ${p.property_name} (ID: ${p.property_id})`);
-                                            });
-                                        } else {
-                                            contextMessage = `[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup completed. This caller is LIKELY AN EXISTING CLIENT associated with property "${callState.property_name}" (ID: ${callState.property_id}). This caller is probably calling for SUPPORT. Confirm if this is the property they're calling about.]`;
-                                            console.log(`[Phone Lookup] ★ LIKELY EXISTING CLIENT: ${callState.property_name} (ID: ${callState.property_id})`);
-                                        }
-                                        
-                                        // Inject context into conversation (AI will see this as background info)
-                                        if (openAiWs.readyState === WebSocket.OPEN) {
-                                            console.log('[Phone Lookup] Injecting caller context into AI session');
-                                            const contextItem = {
-                                                type: 'conversation.item.create',
-                                                item: {
-                                                    type: 'message',
-                                                    role: 'user',
-                                                    content: [{ type: 'input_text', text: contextMessage }]
-                                                }
-                                            };
-                                            openAiWs.send(JSON.stringify(contextItem));
-                                        }
-                                    } else {
-                                        callState.phone_lookup_found = false;
-                                        callState.is_likely_existing_client = false;
-                                        callState.property_count = 0;
-                                        callState.has_multiple_properties = false;
-                                        console.log('[Phone Lookup] Caller not found in database - likely new prospect');
-                                        
-                                        // Optionally inject "new prospect" context
-                                        if (openAiWs.readyState === WebSocket.OPEN) {
-                                            const contextItem = {
-                                                type: 'conversation.item.create',
-                                                item: {
-                                                    type: 'message',
-                                                    role: 'user',
-                                                    content: [{ type: 'input_text', text: '[BACKGROUND INFO - DO NOT READ ALOUD: Phone lookup found no matching records. This caller is likely a NEW PROSPECT. Follow the sales flow unless they indicate they are an existing client.]' }]
-                                                }
-                                            };
-                                            openAiWs.send(JSON.stringify(contextItem));
-                                        }
-                                    }
-                                } else {
-                                    callState.phone_lookup_performed = true;
-                                    callState.phone_lookup_found = false;
-                                    callState.is_likely_existing_client = false;
-                                }
-                            })();
-
-                            // Start recording
-                            if (callSid) {
-                                startRecording(callSid).then(result => {
-                                    if (result.success) {
-                                        recordingSid = result.recordingSid;
-                                    }
-                                });
-                            }
+        logger.callSummary(callState, callerNumber, calleeNumber);
 
-                            responseStartTimestampTwilio = null;
-                            latestMediaTimestamp = 0;
-                            break;
-                            
-                        case 'stop':
-                            console.log('[Twilio stop] Call ended. Saving transcript.');
-                            saveTranscript().catch(err => console.error('[Twilio stop] Error:', err));
-                            break;
-                            
-                        case 'mark':
-                            if (markQueue.length > 0) {
-                                markQueue.shift();
-                            }
-                            // When all marks are cleared and AI response is complete,
-                            // audio has finished playing - NOW start inactivity timer
-                            if (markQueue.length === 0 && aiResponseComplete) {
-                                console.log('[Inactivity] Audio playback finished. Starting inactivity timer now.');
-                                inactivityHandler.startInactivityTimer();
-                                aiResponseComplete = false; // Reset for next response
-                            }
-                            break;
-                    }
-                } catch (error) {
-                    console.error('Error parsing Twilio message:', error);
-                }
-            });
+        // Estimate tokens if not captured
+        if (callState.tokens_input === 0 && callState.tokens_output === 0 && conversationLog.length > 0) {
+            const estimated = estimateTokensFromConversation(conversationLog);
+            callState.tokens_input = estimated.input;
+            callState.tokens_output = estimated.output;
+            callState.cost_dollars = calculateTokenCost(callState.tokens_input, callState.tokens_output, callSettings.pricing);
+        }
 
-            // Save transcript function
-            const saveTranscript = async () => {
-                logger.callSummary(callState, callerNumber, calleeNumber);
+        logger.tokenUsage(callState);
 
-                // Estimate tokens if not captured
-                if (callState.tokens_input === 0 && callState.tokens_output === 0 && conversationLog.length > 0) {
-                    const estimated = estimateTokensFromConversation(conversationLog);
-                    callState.tokens_input = estimated.input;
-                    callState.tokens_output = estimated.output;
-                    callState.cost_dollars = calculateTokenCost(callState.tokens_input, callState.tokens_output, callSettings.pricing);
-                }
+        // Extract info from webhook if needed
+        if (!callerNumber && webhookBody) {
+            callerNumber = webhookBody.From || webhookBody.from || null;
+        }
+        if (!calleeNumber && webhookBody) {
+            calleeNumber = webhookBody.To || webhookBody.to || null;
+        }
+        if (!callSid && webhookBody) {
+            callSid = webhookBody.CallSid || webhookBody.callSid || null;
+        }
 
-                logger.tokenUsage(callState);
+        const callEndTime = new Date();
+        const duration = Math.round((callEndTime - callStartTime) / 1000);
+        callState.call_duration_seconds = duration;
+        callState.call_end_time = callEndTime.toISOString();
 
-                // Extract info from webhook if needed
-                if (!callerNumber && webhookBody) {
-                    callerNumber = webhookBody.From || webhookBody.from || null;
-                }
-                if (!calleeNumber && webhookBody) {
-                    calleeNumber = webhookBody.To || webhookBody.to || null;
-                }
-                if (!callSid && webhookBody) {
-                    callSid = webhookBody.CallSid || webhookBody.callSid || null;
-                }
+        logger.callTiming(callStartTime, callEndTime, duration);
 
-                const callEndTime = new Date();
-                const duration = Math.round((callEndTime - callStartTime) / 1000);
-                callState.call_duration_seconds = duration;
-                callState.call_end_time = callEndTime.toISOString();
-
-                logger.callTiming(callStartTime, callEndTime, duration);
-
-                const filename = generateTranscriptFilename(callerNumber, calleeNumber, callStartTime);
-
-                const transcript = {
-                    callId: streamSid,
-                    callSid: callSid,
-                    recordingSid: recordingSid,
-                    callerNumber: callerNumber,
-                    calleeNumber: calleeNumber,
-                    callState: callState,
-                    phoneLookup: {
-                        performed: callState.phone_lookup_performed,
-                        found: callState.phone_lookup_found,
-                        source: callState.phone_lookup_source,
-                        property_id: callState.phone_lookup_found ? callState.property_id : null,
-                        property_name: callState.phone_lookup_found ? callState.property_name : null
-                    },
-                    demoBooking: {
-                        demo_preferred_date: callState.demo_preferred_date || null,
-                        demo_preferred_time: callState.demo_preferred_time || null,
-                        caller_name: callState.caller_name || null,
-                        property_name: callState.property_name || null,
-                        intent: callState.intent || null
-                    },
-                    tokenUsage: {
-                        input_tokens: callState.tokens_input,
-                        output_tokens: callState.tokens_output,
-                        total_tokens: callState.tokens_input + callState.tokens_output,
-                        estimated_cost_usd: parseFloat(callState.cost_dollars.toFixed(6)),
-                        call_duration_seconds: duration,
-                        call_duration_formatted: Math.floor(duration / 60) + 'm ' + (duration % 60) + 's',
-                        call_start_time: callStartTime.toISOString(),
-                        call_end_time: callEndTime.toISOString()
-                    },
-                    disconnectInfo: {
-                        disconnected_by: callState.disconnected_by || 'unknown',
-                        disconnect_reason: callState.disconnect_reason || 'unknown',
-                        ended_by_agent: callState.ended_by_agent || false
-                    },
-                    webhookBody: webhookBody || null,
-                    startTime: callStartTime.toISOString(),
-                    endTime: callEndTime.toISOString(),
-                    duration: duration,
-                    conversation: conversationLog.length > 0 ? conversationLog : [{
-                        role: 'note',
-                        content: 'No conversation items captured during this call.',
-                        timestamp: new Date().toISOString()
-                    }]
-                };
+        const filename = buildTranscriptFilename(callerNumber, calleeNumber, callStartTime);
 
-                const payload = JSON.stringify(transcript, null, 2);
+        // Twilio callbacks (final status, recording) that arrived before the transcript was saved
+        const callUpdates = attachCallUpdates(callSid, filename);
 
-                // Save to storage
-                await saveTranscriptToStorage(filename, payload);
+        const transcript = {
+            callId: streamSid,
+            callSid: callSid,
+            transport: transport.name,
+            test_call: testCall,
+            recordingSid: recordingSid,
+            callerNumber: callerNumber,
+            calleeNumber: calleeNumber,
+            tenant: callState.tenant || null,
+            direction: callState.direction,
+            outbound: callState.outbound ? {
+                purpose: callState.outbound.purpose,
+                context: callState.outbound.context,
+                requested_at: callState.outbound.requested_at,
+                answered_by: callState.outbound.answered_by,
+                amd_action: callState.outbound.amd_action
+            } : null,
+            callState: callState,
+            phoneLookup: {
+                performed: callState.phone_lookup_performed,
+                found: callState.phone_lookup_found,
+                source: callState.phone_lookup_source,
+                property_id: callState.phone_lookup_found ? callState.property_id : null,
+                property_name: callState.phone_lookup_found ? callState.property_name : null
+            },
+            demoBooking: {
+                demo_preferred_date: callState.demo_preferred_date || null,
+                demo_preferred_time: callState.demo_preferred_time || null,
+                caller_name: callState.caller_name || null,
+                property_name: callState.property_name || null,
+                intent: callState.intent || null
+            },
+            tokenUsage: {
+                input_tokens: callState.tokens_input,
+                output_tokens: callState.tokens_output,
+                total_tokens: callState.tokens_input + callState.tokens_output,
+                estimated_cost_usd: parseFloat(callState.cost_dollars.toFixed(6)),
+                call_duration_seconds: duration,
+                call_duration_formatted: Math.floor(duration / 60) + 'm ' + (duration % 60) + 's',
+                call_start_time: callStartTime.toISOString(),
+                call_end_time: callEndTime.toISOString()
+            },
+            disconnectInfo: {
+                disconnected_by: callState.disconnected_by || 'unknown',
+                disconnect_reason: callState.disconnect_reason || 'unknown',
+                ended_by_agent: callState.ended_by_agent || false
+            },
+            transfer: callState.transfer || null,
+            aiFailure: aiFailure,
+            openAiRecovery: {
+                outages: openAiOutages.length,
+                reconnects: openAiOutages.filter(outage => outage.recovered).length,
+                reconnect_attempts: openAiOutages.reduce((total, outage) => total + outage.attempts, 0),
+                total_downtime_ms: openAiOutages.reduce((total, outage) => total + (outage.downtime_ms || 0), 0),
+                events: openAiOutages
+            },
+            schedule: callState.schedule || null,
+            // Languages spoken on the call: where it started and each set_language switch
+            language: {
+                initial: callState.languages[0]?.language || null,
+                final: callState.language,
+                used: [...new Set(callState.languages.map(entry => entry.language))],
+                changes: callState.languages
+            },
+            // Prompt experiment variant this call was assigned (see GET /experiments/report)
+            experiment: callState.experiment || null,
+            // Effective VAD settings and barge-ins, for comparing interruption rates across configurations
+            turnDetection: {
+                ...callState.turn_detection,
+                source: callState.turn_detection_source,
+                interruptions: callState.interruptions
+            },
+            // Flow states the call went through and the moves the flow refused
+            flow: callState.flow ? {
+                ...callState.flow,
+                final_state: callState.current_state,
+                path: callState.flow_path.map(step => step.state),
+                steps: callState.flow_path,
+                rejected_transitions: callState.flow_rejections
+            } : null,
+            // Help articles the agent searched; answers citing them carry "sources" in the conversation
+            knowledgeBase: {
+                searches: callState.knowledge_base_searches.length,
+                sources_cited: [...new Set(conversationLog.flatMap(entry => entry.sources || []))],
+                events: callState.knowledge_base_searches
+            },
+            // Tool calls whose arguments failed schema validation (the AI was asked to correct them)
+            invalidToolCalls: callState.invalid_tool_calls,
+            callStatus: callUpdates.callStatus || null,
+            recording: callUpdates.recording || (recordingSid ? {
+                sid: recordingSid,
+                status: 'processing',
+                duration_seconds: null,
+                location: null
+            } : null),
+            webhookBody: webhookBody || null,
+            startTime: callStartTime.toISOString(),
+            endTime: callEndTime.toISOString(),
+            duration: duration,
+            conversation: conversationLog.length > 0 ? conversationLog : [{
+                role: 'note',
+                content: 'No conversation items captured during this call.',
+                timestamp: new Date().toISOString()
+            }]
+        };
 
-                // Create backup
-                const backupFilename = generateBackupFilename(callerNumber, callSid, streamSid);
-                await saveBackupTranscript(backupFilename, payload);
+        // Outbound request details now live in the transcript
+        if (callSid && outboundCalls[callSid]) {
+            delete outboundCalls[callSid];
+        }
 
-                // Send email notification
-                await sendCallTranscriptEmail(transcript, filename);
-            };
+        // Save to storage: the full copy to the restricted bucket (or directory), redacted copies everywhere else (services/redaction.js)
+        await saveRestrictedTranscript(filename, JSON.stringify(redactTranscript(transcript, 'restricted'), null, 2));
+        await saveTranscriptToStorage(filename, JSON.stringify(redactTranscript(transcript, 'transcripts'), null, 2));
 
-            // Connection close handler
-            connection.on('close', () => {
-                console.log('[connection.close] Handler fired.');
-                
-                if (!callState.disconnected_by) {
-                    callState.disconnected_by = 'caller';
-                    callState.disconnect_reason = 'caller_hangup';
-                    console.log('[connection.close] Caller disconnected the call.');
-                } else {
-                    console.log(`[connection.close] Call was disconnected by: ${callState.disconnected_by}`);
-                }
-                
-                inactivityHandler.clearTimers();
-                
-                if (openAiWs.readyState === WebSocket.OPEN) {
-                    openAiWs.close();
-                }
-                
-                saveTranscript().catch(err => console.error('[connection.close] Error saving transcript:', err));
-                console.log('Client disconnected.');
-            });
+        // Create backup
+        const backupFilename = generateBackupFilename(callerNumber, callSid, streamSid);
+        await saveBackupTranscript(backupFilename, JSON.stringify(redactTranscript(transcript, 'backups'), null, 2));
 
-            // OpenAI WebSocket close handler
-            openAiWs.on('close', (code, reason) => {
-                console.log(`Disconnected from OpenAI. Code: ${code}, Reason: ${reason}`);
-            });
+        // Send email notification - wait for the recording details if one is still processing
+        // The stored copy is already redacted, so only the late updates are taken from it; the email applies its own policy
+        if (recordingSid && !callUpdates.recording) {
+            const waitSeconds = callSettings.recording?.email_wait_seconds ?? 120;
+            deferTranscriptEmail(callSid, (merged) => sendCallTranscriptEmail(merged ? { ...transcript, recording: merged.recording, callStatus: merged.callStatus } : transcript, filename, callSettings.notify_emails), waitSeconds * 1000);
+        } else {
+            await sendCallTranscriptEmail(transcript, filename, callSettings.notify_emails);
+        }
+    };
 
-            // OpenAI WebSocket error handler
-            openAiWs.on('error', (error) => {
-                console.error('Error in OpenAI WebSocket:', error);
-            });
-        });
+    // Connection close handler
+    transport.onClose(() => {
+        console.log('[connection.close] Handler fired.');
+        twilioStreamEnded = true;
+        releaseSession(sessionId);
+        releaseReservation(reservation);
+        sessionId = null;
+        if (openAiConnectTimer) {
+            clearTimeout(openAiConnectTimer);
+            openAiConnectTimer = null;
+        }
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        // Caller hung up while the AI was reconnecting
+        endOutage(false);
+        
+        if (!callState.disconnected_by) {
+            callState.disconnected_by = 'caller';
+            callState.disconnect_reason = 'caller_hangup';
+            console.log('[connection.close] Caller disconnected the call.');
+        } else {
+            console.log(`[connection.close] Call was disconnected by: ${callState.disconnected_by}`);
+        }
+        
+        inactivityHandler.clearTimers();
+        dtmfHandler.clearTimers();
+        
+        if (openAiWs && openAiWs.readyState === WebSocket.OPEN) {
+            openAiWs.close();
+        } else if (openAiWs && openAiWs.readyState === WebSocket.CONNECTING) {
+            openAiWs.terminate();
+        }
+        
+        saveTranscript().catch(err => console.error('[connection.close] Error saving transcript:', err));
+        console.log('Client disconnected.');
     });
 };
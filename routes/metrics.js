@@ -0,0 +1,15 @@
+// Monitoring route handlers
+
+import { getSessionStats } from '../services/sessions.js';
+
+// Register metrics route
+export const registerMetricsRoute = (fastify) => {
+    // Concurrent AI sessions and overflow (rejected call) counters
+    fastify.get('/metrics', async (request, reply) => {
+        reply.send({
+            sessions: getSessionStats(),
+            uptime_seconds: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    });
+};
@@ -0,0 +1,157 @@
+// Outbound call route handlers
+
+import crypto from 'crypto';
+import { OUTBOUND_API_KEY, OUTBOUND_RESERVATION_TTL_MS, DEFAULT_AGENT_SETTINGS } from '../config/index.js';
+import { createOutboundCall, redirectCall, requireTwilioSignature } from '../services/twilio.js';
+import { resolveTenant } from '../services/tenants.js';
+import { hasCapacity, reserveSession, renameReservation, releaseReservation, recordRejectedCall } from '../services/sessions.js';
+import { matchLanguage, getSupportedLanguages } from '../services/languages.js';
+import { createApiKeyGuard, escapeXml, getPublicBaseUrl } from '../utils/helpers.js';
+import { validateTurnDetection } from '../handlers/openaiSession.js';
+import { buildStreamTwiml } from './incoming-call.js';
+
+// In-memory store for outbound call requests keyed by CallSid
+export const outboundCalls = {};
+
+const requireOutboundApiKey = createApiKeyGuard(OUTBOUND_API_KEY, 'Outbound API');
+
+// Fill {purpose} / {context} placeholders in outbound settings text
+const fillTemplate = (text, outbound) => {
+    return String(text || '')
+        .replace(/\{purpose\}/g, outbound.purpose || 'your enquiry')
+        .replace(/\{context\}/g, outbound.context || 'none provided');
+};
+
+// Apply outbound greeting and instructions (with the call's purpose and context) to a call's settings
+export const applyOutboundToSettings = (settings, outbound) => {
+    if (!outbound) {
+        return settings;
+    }
+
+    const outboundSettings = { ...DEFAULT_AGENT_SETTINGS.outbound, ...(settings.outbound || {}) };
+    return {
+        ...settings,
+        system_message: `${settings.system_message || ''}\n\n${fillTemplate(outboundSettings.instructions, outbound)}`,
+        initial_greeting: fillTemplate(outboundSettings.initial_greeting, outbound)
+    };
+};
+
+// Register outbound call routes
+export const registerOutboundCallRoutes = (fastify) => {
+    // Place an outbound call that connects to the /media-stream pipeline
+    // Body: { to, from?, purpose, context?, turn_detection?, language? }
+    fastify.post('/outbound-call', { preHandler: requireOutboundApiKey }, async (request, reply) => {
+        const body = request.body || {};
+        const to = String(body.to || '').trim();
+        const purpose = String(body.purpose || '').trim();
+
+        if (!/^\+[1-9]\d{6,14}$/.test(to)) {
+            return reply.code(400).send({ success: false, error: '`to` must be an E.164 phone number, e.g. +61412345678' });
+        }
+        if (!purpose) {
+            return reply.code(400).send({ success: false, error: '`purpose` is required' });
+        }
+        const turnDetectionError = body.turn_detection !== undefined ? validateTurnDetection(body.turn_detection) : null;
+        if (turnDetectionError) {
+            return reply.code(400).send({ success: false, error: turnDetectionError });
+        }
+
+        // Our line: explicit `from`, else the default tenant's outbound caller ID
+        const from = body.from || resolveTenant(null)?.settings.outbound?.caller_id || null;
+        if (!from) {
+            return reply.code(400).send({ success: false, error: '`from` is required (or set OUTBOUND_CALLER_ID)' });
+        }
+
+        // Language the call starts in (checked against the languages of the tenant the call is placed from)
+        const tenantSettings = resolveTenant(from)?.settings || {};
+        const language = body.language !== undefined ? matchLanguage(tenantSettings, body.language) : null;
+        if (body.language !== undefined && !language) {
+            const supported = getSupportedLanguages(tenantSettings).map(l => l.code).join(', ');
+            return reply.code(400).send({ success: false, error: `\`language\` must be one of: ${supported}` });
+        }
+
+        // Every AI session is in use: do not place a call the AI cannot take
+        if (!hasCapacity()) {
+            recordRejectedCall('busy');
+            console.warn(`[Overflow] Concurrent call limit reached - outbound call to ${to} not placed`);
+            return reply.code(503).send({ success: false, error: 'All AI sessions are in use, try again later' });
+        }
+
+        // Hold the slot while the call is placed and rings; it moves to the CallSid once Twilio returns one
+        const reservation = `outbound-${crypto.randomUUID()}`;
+        reserveSession(reservation, OUTBOUND_RESERVATION_TTL_MS);
+
+        const baseUrl = getPublicBaseUrl(request);
+        const result = await createOutboundCall({
+            to,
+            from,
+            url: `${baseUrl}/outbound-call/twiml`,
+            amdStatusCallback: `${baseUrl}/outbound-call/amd-status`,
+            statusCallback: `${baseUrl}/call-status`
+        });
+
+        if (!result.success) {
+            releaseReservation(reservation);
+            return reply.code(502).send({ success: false, error: result.error });
+        }
+        renameReservation(reservation, result.callSid);
+
+        outboundCalls[result.callSid] = {
+            to: to,
+            from: from,
+            purpose: purpose,
+            context: body.context ? String(body.context) : null,
+            turn_detection: body.turn_detection || null,
+            language: language,
+            requested_at: new Date().toISOString(),
+            answered_by: null,
+            amd_action: null
+        };
+        console.log(`[Outbound] Call ${result.callSid} to ${to} - purpose: ${purpose}`);
+
+        return reply.send({ success: true, callSid: result.callSid, status: result.status });
+    });
+
+    // TwiML for an answered outbound call - connects straight to the AI
+    fastify.post('/outbound-call/twiml', { preHandler: requireTwilioSignature }, async (request, reply) => {
+        const body = request.body || {};
+        const callSid = body.CallSid || '';
+        console.log('[Outbound] Call answered:', callSid, 'to', body.To);
+
+        // From the AI's point of view the customer is the caller and our number is the line
+        const twiml = buildStreamTwiml(request, {
+            from: body.To || '',
+            to: body.From || '',
+            callSid: callSid,
+            direction: 'outbound'
+        });
+        reply.type('text/xml').status(200).send(twiml);
+    });
+
+    // Async answering machine detection result
+    fastify.post('/outbound-call/amd-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+        const body = request.body || {};
+        const callSid = body.CallSid;
+        const answeredBy = body.AnsweredBy || 'unknown';
+        const outbound = outboundCalls[callSid];
+        console.log(`[Outbound] AMD result for ${callSid}: ${answeredBy}`);
+
+        if (outbound) {
+            outbound.answered_by = answeredBy;
+            outbound.amd_action = 'continue';
+
+            // Machine: leave a short message and hang up instead of talking to a recording
+            if (answeredBy.startsWith('machine_end') || answeredBy === 'fax') {
+                const tenant = resolveTenant(outbound.from);
+                const outboundSettings = { ...DEFAULT_AGENT_SETTINGS.outbound, ...(tenant?.settings.outbound || {}) };
+                const message = answeredBy === 'fax' ? '' : `<Say>${escapeXml(fillTemplate(outboundSettings.machine_message, outbound))}</Say>`;
+                // Set before redirecting: the redirect ends the media stream, which saves the transcript straight away
+                outbound.amd_action = answeredBy === 'fax' ? 'hangup' : 'left_message';
+                const result = await redirectCall(callSid, `<Response>${message}<Hangup/></Response>`);
+                if (!result.success) outbound.amd_action += '_failed';
+            }
+        }
+
+        reply.code(204).send();
+    });
+};
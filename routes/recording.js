@@ -0,0 +1,65 @@
+// Call recording route handlers
+
+import { saveRecordingToStorage } from '../services/storage.js';
+import { applyCallUpdate, waitForTranscriptFile, flushTranscriptEmail } from '../services/callRecords.js';
+import { requireTwilioSignature, downloadRecording } from '../services/twilio.js';
+
+// How long a finished recording waits for its call's transcript to be saved before it is stored on its own
+// (it is still linked: the recording's location is merged into the transcript whenever that is saved)
+const TRANSCRIPT_WAIT_MS = 2 * 60 * 1000;
+
+// Recording audio filename: next to the call's transcript when known
+const getRecordingFilename = (transcriptFile, callSid, recordingSid) => {
+    if (transcriptFile) {
+        return transcriptFile.replace(/\.json$/, '-recording.mp3');
+    }
+    return `recording-${callSid || 'unknown'}-${recordingSid || Date.now()}.mp3`;
+};
+
+// Register recording routes
+export const registerRecordingRoutes = (fastify) => {
+    // Twilio recordingStatusCallback - fetch the finished recording and store it with the transcript
+    fastify.post('/recording-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+        const body = request.body || {};
+        const callSid = body.CallSid || null;
+        const status = body.RecordingStatus || 'unknown';
+        console.log(`[Recording] ${body.RecordingSid || 'unknown'} for ${callSid || 'unknown'}: ${status} (${body.RecordingDuration || 0}s)`);
+
+        // Reply straight away - downloading and uploading the audio can take a while
+        reply.code(204).send();
+
+        const recording = {
+            sid: body.RecordingSid || null,
+            status: status,
+            duration_seconds: body.RecordingDuration !== undefined ? Number(body.RecordingDuration) : null,
+            channels: body.RecordingChannels ? Number(body.RecordingChannels) : null,
+            location: null,
+            twilio_url: body.RecordingUrl || null,
+            completed_at: new Date().toISOString(),
+            error: null
+        };
+
+        try {
+            if (status === 'completed') {
+                const download = await downloadRecording(body.RecordingUrl);
+                if (download.success) {
+                    // The callback can arrive before the transcript is saved: wait so the audio is named after it
+                    const transcriptFile = await waitForTranscriptFile(callSid, TRANSCRIPT_WAIT_MS);
+                    const filename = getRecordingFilename(transcriptFile, callSid, recording.sid);
+                    const saved = await saveRecordingToStorage(filename, download.audio);
+                    recording.location = saved.success ? saved.location : null;
+                    recording.error = saved.success ? null : saved.error;
+                } else {
+                    recording.error = download.error;
+                }
+            } else {
+                recording.error = body.ErrorCode ? `Twilio error ${body.ErrorCode}` : `Recording ${status}`;
+            }
+
+            const transcript = await applyCallUpdate(callSid, 'recording', recording);
+            await flushTranscriptEmail(callSid, transcript);
+        } catch (err) {
+            console.error('[Recording] Failed to store recording:', err.message);
+        }
+    });
+};
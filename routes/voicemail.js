@@ -0,0 +1,96 @@
+// Voicemail route handlers
+
+import { saveTranscriptToStorage } from '../services/storage.js';
+import { requireTwilioSignature } from '../services/twilio.js';
+import { resolveTenant } from '../services/tenants.js';
+import { escapeXml, generateVoicemailFilename } from '../utils/helpers.js';
+
+// Voicemails expected for calls that already have a transcript, keyed by CallSid
+const pendingVoicemails = {};
+
+// Callers who hang up before the beep never trigger /voicemail-complete; drop their entries after this
+// (well past the prompt and the 120 second recording)
+const PENDING_VOICEMAIL_TTL_MS = 10 * 60 * 1000;
+
+// Drop expected voicemails that never arrived
+const prunePendingVoicemails = () => {
+    const now = Date.now();
+    for (const [callSid, pending] of Object.entries(pendingVoicemails)) {
+        if (pending.expiresAt <= now) delete pendingVoicemails[callSid];
+    }
+};
+
+// Link an upcoming voicemail to the call's transcript file so both are saved side by side
+export const expectVoicemail = (callSid, transcriptFilename) => {
+    prunePendingVoicemails();
+    if (callSid) {
+        pendingVoicemails[callSid] = { transcriptFilename, createdAt: new Date().toISOString(), expiresAt: Date.now() + PENDING_VOICEMAIL_TTL_MS };
+    }
+};
+
+// Build TwiML that plays a message and records a voicemail
+// `baseUrl` (getPublicBaseUrl) makes the <Record> action absolute: TwiML sent inline with a call redirect
+// has no document URL for Twilio to resolve a relative action against
+// `reason` is recorded with the voicemail (e.g. after_hours, holiday, ai_unavailable)
+export const buildVoicemailTwiml = (baseUrl, message, reason, voice) => {
+    const voiceAttr = voice ? ` voice="${escapeXml(voice)}"` : '';
+    const action = escapeXml(`${baseUrl}/voicemail-complete?reason=${encodeURIComponent(reason || 'unknown')}`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  <Say${voiceAttr}>${escapeXml(message)}</Say>
+                                  <Record action="${action}" method="POST" maxLength="120" playBeep="true" finishOnKey="#" />
+                                  <Say${voiceAttr}>We did not receive a message. Goodbye.</Say>
+                              </Response>`;
+};
+
+// Register voicemail routes
+export const registerVoicemailRoutes = (fastify) => {
+    // Twilio <Record> action - called once the caller has left a message
+    fastify.post('/voicemail-complete', { preHandler: requireTwilioSignature }, async (request, reply) => {
+        const body = request.body || {};
+        const reason = request.query?.reason || 'unknown';
+        const callerNumber = body.From || null;
+        const calleeNumber = body.To || null;
+        const receivedAt = new Date();
+        const tenant = resolveTenant(calleeNumber);
+        const callSid = body.CallSid || null;
+
+        // Voicemail left after an AI failure belongs next to that call's transcript
+        prunePendingVoicemails();
+        const pending = callSid ? pendingVoicemails[callSid] : null;
+        if (pending) delete pendingVoicemails[callSid];
+
+        console.log(`[Voicemail] Message recorded (${reason}) from ${callerNumber || 'unknown'}: ${body.RecordingUrl || 'no recording URL'}`);
+
+        const record = {
+            type: 'voicemail',
+            reason: reason,
+            tenant: tenant ? { id: tenant.id, name: tenant.name } : null,
+            callSid: callSid,
+            transcriptFile: pending ? pending.transcriptFilename : null,
+            callerNumber: callerNumber,
+            calleeNumber: calleeNumber,
+            recording: {
+                sid: body.RecordingSid || null,
+                url: body.RecordingUrl || null,
+                duration_seconds: Number(body.RecordingDuration) || 0
+            },
+            webhookBody: body,
+            receivedAt: receivedAt.toISOString()
+        };
+
+        try {
+            const filename = pending
+                ? pending.transcriptFilename.replace(/\.json$/, '-voicemail.json')
+                : generateVoicemailFilename(callerNumber, calleeNumber, receivedAt);
+            await saveTranscriptToStorage(filename, JSON.stringify(record, null, 2));
+        } catch (err) {
+            console.error('[Voicemail] Failed to save voicemail record:', err.message);
+        }
+
+        const voice = tenant?.settings.connect_voice;
+        const voiceAttr = voice ? ` voice="${escapeXml(voice)}"` : '';
+        reply.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Say${voiceAttr}>Thank you. Your message has been saved. Goodbye.</Say><Hangup/></Response>`);
+    });
+};
@@ -0,0 +1,37 @@
+// Browser test channel route handlers
+
+import fs from 'fs/promises';
+import path from 'path';
+import { WEB_CALL_API_KEY } from '../config/index.js';
+import { createApiKeyGuard } from '../utils/helpers.js';
+import { createPcmTransport } from '../transports/pcm.js';
+import { handleMediaSession, reservePcmSession } from './media-stream.js';
+
+const TEST_PAGE_FILE = path.join(process.cwd(), 'public', 'web-call.html');
+
+// Browsers cannot send headers on a WebSocket, so the page passes the key as ?key=
+const requireWebCallApiKey = createApiKeyGuard(WEB_CALL_API_KEY, 'Web Call', { allowQueryKey: true });
+
+// Register browser test call routes
+export const registerWebCallRoutes = (fastify) => {
+    // Static test page (holds no secrets; the key is entered in the page)
+    fastify.get('/web-call/test', async (request, reply) => {
+        try {
+            const html = await fs.readFile(TEST_PAGE_FILE, 'utf8');
+            reply.type('text/html').send(html);
+        } catch (err) {
+            console.error('[Web Call] ✗ Could not read test page:', err.message);
+            reply.code(500).send({ success: false, error: 'Test page not available' });
+        }
+    });
+
+    fastify.register(async (fastify) => {
+        // Microphone audio from the test page, same PCM protocol as /media-stream/pcm
+        fastify.get('/web-call', { websocket: true, preHandler: requireWebCallApiKey }, async (connection, req) => {
+            console.log('[Web Call] Browser test session connected');
+            const reservation = reservePcmSession(connection, 'web');
+            if (!reservation) return;
+            await handleMediaSession(createPcmTransport(connection, 'web'), req, { authorized: true, testCall: true, reservation: reservation });
+        });
+    });
+};
@@ -0,0 +1,115 @@
+import path from 'path';
+import { CALL_HISTORY_DIR } from '../config/index.js';
+import { saveTranscriptToStorage, loadFromStorage, saveRestrictedTranscript, loadRestrictedTranscript } from './storage.js';
+
+// Calls that reached /media-stream, keyed by CallSid: { transcriptFile, updates, pendingEmail, fileWaiters }
+// `updates` holds late Twilio callbacks (callStatus, recording) merged into the transcript
+// `fileWaiters` are callbacks waiting for the transcript filename (see waitForTranscriptFile)
+// Kept until the TTL expires because the transcript may be saved again after an update arrives
+const streamCalls = {};
+
+// How long to remember a call's transcript file waiting for callbacks
+const STREAM_CALL_TTL_MS = 30 * 60 * 1000;
+
+// Record that a call's media stream started, so callbacks merge into its transcript
+export const trackStreamCall = (callSid) => {
+    if (callSid && !streamCalls[callSid]) {
+        streamCalls[callSid] = { transcriptFile: null, updates: {}, pendingEmail: null, fileWaiters: [] };
+        setTimeout(() => { delete streamCalls[callSid]; }, STREAM_CALL_TTL_MS).unref();
+    }
+};
+
+// Check whether a call's media stream connected
+export const isStreamCall = (callSid) => Boolean(callSid && streamCalls[callSid]);
+
+// Link the call's transcript file and return any updates that arrived before it was saved
+export const attachCallUpdates = (callSid, transcriptFile) => {
+    const entry = callSid ? streamCalls[callSid] : null;
+    if (!entry) return {};
+    entry.transcriptFile = transcriptFile;
+    const waiters = entry.fileWaiters.splice(0);
+    waiters.forEach(waiter => waiter(transcriptFile));
+    return { ...entry.updates };
+};
+
+// Wait until the call's transcript is saved (e.g. a recording that finishes first, so its file can be named after it)
+// Resolves with the transcript filename, or null when the call has no stream or `timeoutMs` passes
+export const waitForTranscriptFile = (callSid, timeoutMs) => {
+    const entry = callSid ? streamCalls[callSid] : null;
+    if (!entry) return Promise.resolve(null);
+    if (entry.transcriptFile) return Promise.resolve(entry.transcriptFile);
+
+    return new Promise((resolve) => {
+        const waiter = (transcriptFile) => {
+            clearTimeout(timer);
+            resolve(transcriptFile);
+        };
+        const timer = setTimeout(() => {
+            entry.fileWaiters = entry.fileWaiters.filter(item => item !== waiter);
+            resolve(null);
+        }, timeoutMs);
+        entry.fileWaiters.push(waiter);
+    });
+};
+
+// Store a late update under `key` and merge it into the saved transcript
+// Returns the updated transcript, or null if the transcript is not saved yet
+export const applyCallUpdate = async (callSid, key, value) => {
+    const entry = callSid ? streamCalls[callSid] : null;
+    if (!entry) return null;
+
+    entry.updates[key] = value;
+    if (!entry.transcriptFile) return null;
+
+    const result = await loadFromStorage(entry.transcriptFile, path.join(CALL_HISTORY_DIR, entry.transcriptFile));
+    if (!result.success) return null;
+
+    const transcript = JSON.parse(result.content);
+    transcript[key] = value;
+    await saveTranscriptToStorage(entry.transcriptFile, JSON.stringify(transcript, null, 2));
+
+    // Keep the full copy in the restricted bucket (or directory) in step (late updates carry call metadata, not caller details)
+    const restricted = await loadRestrictedTranscript(entry.transcriptFile);
+    if (restricted) {
+        const fullTranscript = JSON.parse(restricted);
+        fullTranscript[key] = value;
+        await saveRestrictedTranscript(entry.transcriptFile, JSON.stringify(fullTranscript, null, 2));
+    }
+    console.log(`[Call Records] ✓ Merged ${key} into transcript: ${entry.transcriptFile}`);
+    return transcript;
+};
+
+// Hold the transcript email until a late update (e.g. the recording) arrives or `timeoutMs` passes
+// `send(transcript)` is called once - with the merged transcript, or null on timeout
+export const deferTranscriptEmail = (callSid, send, timeoutMs) => {
+    const entry = callSid ? streamCalls[callSid] : null;
+    if (!entry) {
+        send(null);
+        return;
+    }
+
+    // The transcript may be saved twice (stop + close) - only the latest email is kept
+    if (entry.pendingEmail) clearTimeout(entry.pendingEmail.timer);
+    entry.pendingEmail = {
+        send,
+        timer: setTimeout(() => {
+            console.log(`[Call Records] No late update after ${Math.round(timeoutMs / 1000)}s - sending transcript email for ${callSid}`);
+            flushTranscriptEmail(callSid, null);
+        }, timeoutMs)
+    };
+};
+
+// Send a deferred transcript email now
+export const flushTranscriptEmail = async (callSid, transcript = null) => {
+    const entry = callSid ? streamCalls[callSid] : null;
+    if (!entry || !entry.pendingEmail) return;
+
+    const { send, timer } = entry.pendingEmail;
+    clearTimeout(timer);
+    entry.pendingEmail = null;
+    try {
+        await send(transcript);
+    } catch (err) {
+        console.error('[Call Records] Failed to send transcript email:', err.message);
+    }
+};
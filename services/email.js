@@ -3,6 +3,7 @@
 
 import nodemailer from 'nodemailer';
 import { EMAIL_CONFIG } from '../config/index.js';
+import { redactTranscript } from './redaction.js';
 
 let transporter = null;
 
@@ -51,34 +52,43 @@ export const initializeEmail = () => {
 export const getEmailTransporter = () => transporter;
 
 // Send call transcript email
-export const sendCallTranscriptEmail = async (transcript, filename) => {
+// recipients: optional per-tenant list; falls back to NOTIFY_EMAIL
+// The body and attachment use the email redaction policy (REDACTION_EMAIL_POLICY)
+export const sendCallTranscriptEmail = async (callTranscript, filename, recipients = []) => {
     if (!transporter) {
         console.log('[Email] Cannot send email: No transporter configured');
         return { success: false, error: 'Email not configured' };
     }
 
-    if (!EMAIL_CONFIG.NOTIFY_EMAIL) {
+    const to = recipients && recipients.length > 0 ? recipients.join(', ') : EMAIL_CONFIG.NOTIFY_EMAIL;
+    if (!to) {
         console.log('[Email] Cannot send email: NOTIFY_EMAIL not set');
         return { success: false, error: 'NOTIFY_EMAIL not configured' };
     }
 
     try {
         const fromEmail = EMAIL_CONFIG.SMTP_USER || EMAIL_CONFIG.SES_FROM_EMAIL || 'noreply@update247.com.au';
+        const transcript = redactTranscript(callTranscript, 'email');
         
         // Format call summary for email body
         const callState = transcript.callState || {};
         const disconnectInfo = transcript.disconnectInfo || {};
         const tokenUsage = transcript.tokenUsage || {};
+        const transfer = transcript.transfer || null;
+        const recording = transcript.recording || null;
         
         const emailBody = `
 Call Transcript Summary
 ========================
 
 Call Details:
+- Line: ${transcript.tenant ? transcript.tenant.name : 'Unknown'}
+- Direction: ${transcript.direction === 'outbound' ? `Outbound (${transcript.outbound?.purpose || 'no purpose'}, answered by: ${transcript.outbound?.answered_by || 'unknown'})` : 'Inbound'}
 - Caller Number: ${transcript.callerNumber || 'Unknown'}
 - Callee Number: ${transcript.calleeNumber || 'Unknown'}
 - Call SID: ${transcript.callSid || 'N/A'}
 - Duration: ${tokenUsage.call_duration_formatted || 'Unknown'}
+- Language: ${transcript.language?.changes?.length ? transcript.language.changes.map(change => change.name).join(' -> ') : 'Unknown'}
 - Start Time: ${transcript.startTime || 'Unknown'}
 - End Time: ${transcript.endTime || 'Unknown'}
 
@@ -94,6 +104,12 @@ Disconnect Info:
 - Disconnected By: ${disconnectInfo.disconnected_by || 'Unknown'}
 - Reason: ${disconnectInfo.disconnect_reason || 'Unknown'}
 
+Transfer:
+- ${transfer ? `${transfer.status} to ${transfer.department} (${transfer.target || 'no target'}) at ${transfer.requested_at}` : 'Not transferred'}
+
+Recording:
+- ${recording ? `${recording.sid || 'Unknown SID'} (${recording.duration_seconds !== null && recording.duration_seconds !== undefined ? `${recording.duration_seconds}s` : recording.status})${recording.location ? ` - ${recording.location}` : ''}${recording.error ? ` - ${recording.error}` : ''}` : 'Not recorded'}
+
 Token Usage:
 - Input Tokens: ${tokenUsage.input_tokens || 0}
 - Output Tokens: ${tokenUsage.output_tokens || 0}
@@ -108,8 +124,8 @@ Full transcript attached as JSON file.
 
         const mailOptions = {
             from: fromEmail,
-            to: EMAIL_CONFIG.NOTIFY_EMAIL,
-            subject: `Call Transcript - ${transcript.callerNumber || 'Unknown Caller'} - ${new Date().toLocaleDateString()}`,
+            to: to,
+            subject: `${transcript.test_call ? '[TEST] ' : ''}Call Transcript - ${transcript.tenant ? `${transcript.tenant.name} - ` : ''}${transcript.callerNumber || 'Unknown Caller'} - ${new Date().toLocaleDateString()}`,
             text: emailBody,
             attachments: [
                 {
@@ -121,7 +137,7 @@ Full transcript attached as JSON file.
         };
 
         const result = await transporter.sendMail(mailOptions);
-        console.log(`[Email] ✓ Call transcript sent to ${EMAIL_CONFIG.NOTIFY_EMAIL}`);
+        console.log(`[Email] ✓ Call transcript sent to ${to}`);
         return { success: true, messageId: result.messageId };
     } catch (error) {
         console.error('[Email] ✗ Failed to send email:', error.message);
@@ -129,6 +145,116 @@ Full transcript attached as JSON file.
     }
 };
 
+// Send the conversation so far to the team receiving a live transfer
+export const sendTransferHandoffEmail = async (handoff, recipient = null) => {
+    const to = recipient || EMAIL_CONFIG.NOTIFY_EMAIL;
+
+    if (!transporter) {
+        console.log('[Email] Cannot send hand-off email: No transporter configured');
+        return { success: false, error: 'Email not configured' };
+    }
+
+    if (!to) {
+        console.log('[Email] Cannot send hand-off email: No recipient configured');
+        return { success: false, error: 'No recipient configured' };
+    }
+
+    try {
+        const fromEmail = EMAIL_CONFIG.SMTP_USER || EMAIL_CONFIG.SES_FROM_EMAIL || 'noreply@update247.com.au';
+        // Same redaction as the transcript email (the caller number stays so the team can call back)
+        const { callState, conversation } = redactTranscript({ callState: handoff.callState || {}, conversation: handoff.conversation || [] }, 'email');
+
+        const conversationText = conversation
+            .map(entry => `${entry.role === 'assistant' ? 'Agent' : 'Caller'}: ${entry.content}`)
+            .join('\n');
+
+        const emailBody = `
+Incoming Transfer - ${handoff.department.toUpperCase()}
+========================
+
+A caller is being transferred to you now.
+
+Call Details:
+- Caller Number: ${handoff.callerNumber || 'Unknown'}
+- Call SID: ${handoff.callSid || 'N/A'}
+- Transfer Reason: ${handoff.reason || 'Not specified'}
+
+Caller Information:
+- Property ID: ${callState.property_id || 'Not provided'}
+- Property Name: ${callState.property_name || 'Not provided'}
+- Caller Name: ${callState.caller_name || 'Not provided'}
+- Caller Email: ${callState.caller_email || 'Not provided'}
+
+Issue Description:
+${callState.issue_description || 'No issue recorded'}
+
+Conversation So Far:
+${conversationText || 'No conversation captured yet.'}
+        `.trim();
+
+        const result = await transporter.sendMail({
+            from: fromEmail,
+            to,
+            subject: `Transfer (${handoff.department}) - ${handoff.callerNumber || 'Unknown Caller'}`,
+            text: emailBody
+        });
+        console.log(`[Email] ✓ Transfer hand-off sent to ${to}`);
+        return { success: true, messageId: result.messageId };
+    } catch (error) {
+        console.error('[Email] ✗ Failed to send hand-off email:', error.message);
+        return { success: false, error: error.message };
+    }
+};
+
+// Alert the team that the AI pipeline failed during a call
+export const sendPipelineFailureAlert = async (failure) => {
+    const to = EMAIL_CONFIG.ALERT_EMAIL || EMAIL_CONFIG.NOTIFY_EMAIL;
+
+    if (!transporter) {
+        console.log('[Email] Cannot send failure alert: No transporter configured');
+        return { success: false, error: 'Email not configured' };
+    }
+
+    if (!to) {
+        console.log('[Email] Cannot send failure alert: ALERT_EMAIL / NOTIFY_EMAIL not set');
+        return { success: false, error: 'No recipient configured' };
+    }
+
+    try {
+        const fromEmail = EMAIL_CONFIG.SMTP_USER || EMAIL_CONFIG.SES_FROM_EMAIL || 'noreply@update247.com.au';
+
+        const emailBody = `
+AI Pipeline Failure
+========================
+
+The OpenAI Realtime connection failed during a call.
+
+Call Details:
+- Line: ${failure.tenant ? failure.tenant.name : 'Unknown'}
+- Caller Number: ${failure.callerNumber || 'Unknown'}
+- Callee Number: ${failure.calleeNumber || 'Unknown'}
+- Call SID: ${failure.callSid || 'N/A'}
+
+Failure:
+- Reason: ${failure.reason}
+- Detected At: ${failure.detected_at}
+- Redirected To Voicemail: ${failure.voicemail_redirect ? 'Yes' : 'No'}${failure.voicemail_error ? ` (${failure.voicemail_error})` : ''}
+        `.trim();
+
+        const result = await transporter.sendMail({
+            from: fromEmail,
+            to,
+            subject: `[ALERT] AI pipeline failure - ${failure.callerNumber || 'Unknown Caller'} - ${failure.reason}`,
+            text: emailBody
+        });
+        console.log(`[Email] ✓ Failure alert sent to ${to}`);
+        return { success: true, messageId: result.messageId };
+    } catch (error) {
+        console.error('[Email] ✗ Failed to send failure alert:', error.message);
+        return { success: false, error: error.message };
+    }
+};
+
 // Test email configuration
 export const testEmailConnection = async () => {
     if (!transporter) {
@@ -0,0 +1,141 @@
+// Prompt experiments (A/B tests of prompt, voice and greeting)
+// The agent settings "experiment" lists named variants. Each call is assigned one variant when /media-stream
+// connects: "sticky" hashes the caller's number so repeat callers hear the same variant, "random" picks by weight.
+// The variant is saved under "experiment" in the transcript, and summarizeExperiments compares variants.
+
+import crypto from 'crypto';
+import path from 'path';
+import { loadFromStorage } from './storage.js';
+
+const ASSIGNMENT_MODES = ['sticky', 'random'];
+
+// Settings a variant may replace
+const VARIANT_FIELDS = ['system_message', 'voice', 'initial_greeting'];
+
+// Check an experiment definition; returns an error message, or null when valid
+// { id, enabled?, assignment?, variants: [{ id, weight?, system_message?, system_message_file?, voice?, initial_greeting? }] }
+export const validateExperiment = (experiment) => {
+    if (!experiment || typeof experiment !== 'object' || Array.isArray(experiment)) return 'experiment must be an object';
+    if (typeof experiment.id !== 'string' || !experiment.id.trim()) return 'experiment.id is required';
+    if (experiment.assignment !== undefined && !ASSIGNMENT_MODES.includes(experiment.assignment)) {
+        return `experiment.assignment must be one of: ${ASSIGNMENT_MODES.join(', ')}`;
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length === 0) return 'experiment.variants must list at least one variant';
+
+    const ids = new Set();
+    for (const variant of experiment.variants) {
+        if (!variant || typeof variant.id !== 'string' || !variant.id.trim()) return 'every variant needs an id';
+        if (ids.has(variant.id)) return `duplicate variant id "${variant.id}"`;
+        ids.add(variant.id);
+        if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+            return `variant ${variant.id}: weight must be a number >= 0`;
+        }
+    }
+    if (experiment.variants.every(variant => variant.weight === 0)) return 'at least one variant needs a weight above 0';
+    return null;
+};
+
+// Validate an experiment and load its variants' system message files; null when disabled or invalid
+export const loadExperiment = async (experiment) => {
+    if (!experiment || experiment.enabled === false) return null;
+
+    const error = validateExperiment(experiment);
+    if (error) {
+        console.error(`✗ Invalid experiment: ${error} - experiment disabled`);
+        return null;
+    }
+
+    const variants = [];
+    for (const variant of experiment.variants) {
+        const loaded = { id: variant.id, weight: variant.weight ?? 1 };
+        VARIANT_FIELDS.forEach((field) => {
+            if (variant[field]) loaded[field] = variant[field];
+        });
+
+        if (variant.system_message_file && !variant.system_message) {
+            const filePath = variant.system_message_file;
+            const result = await loadFromStorage(filePath, path.join(process.cwd(), filePath));
+            const systemMessage = result.success ? JSON.parse(result.content).system_message : null;
+            if (!systemMessage) {
+                console.error(`✗ Experiment ${experiment.id}: system message file not found for variant ${variant.id} (${filePath}) - experiment disabled`);
+                return null;
+            }
+            loaded.system_message = systemMessage;
+        }
+        variants.push(loaded);
+    }
+
+    console.log(`✓ Experiment ${experiment.id}: ${variants.map(v => `${v.id} (weight ${v.weight})`).join(', ')} - ${experiment.assignment || 'sticky'} assignment`);
+    return { id: experiment.id, assignment: experiment.assignment || 'sticky', variants: variants };
+};
+
+// Pick the variant at `point` (0-1) along the cumulative weights
+const pickByWeight = (variants, point) => {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = point * total;
+    for (const variant of variants) {
+        if (variant.weight > 0 && threshold < variant.weight) return variant;
+        threshold -= variant.weight;
+    }
+    return variants.filter(variant => variant.weight > 0).pop();
+};
+
+// Assign a variant for a call: { variant, method }
+// Sticky assignment falls back to random for withheld or unknown caller numbers
+export const assignVariant = (experiment, callerNumber) => {
+    const digits = String(callerNumber || '').replace(/\D/g, '');
+    if (experiment.assignment === 'sticky' && digits) {
+        const hash = crypto.createHash('sha256').update(`${experiment.id}:${digits}`).digest();
+        return { variant: pickByWeight(experiment.variants, hash.readUInt32BE(0) / 0x100000000), method: 'sticky' };
+    }
+    return { variant: pickByWeight(experiment.variants, Math.random()), method: 'random' };
+};
+
+// Apply a variant's prompt, voice and greeting over a call's settings
+export const applyVariantToSettings = (settings, variant) => {
+    if (!variant) return settings;
+    const overrides = {};
+    VARIANT_FIELDS.forEach((field) => {
+        if (variant[field]) overrides[field] = variant[field];
+    });
+    return { ...settings, ...overrides };
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Compare variants across saved transcripts: call duration, routing completion, property ID capture and cost
+// Returns { experiment_id: { variant_id: { calls, ... } } }
+export const summarizeExperiments = (transcripts, experimentId = null) => {
+    const groups = {};
+    transcripts.forEach((transcript) => {
+        const experiment = transcript.experiment;
+        if (!experiment?.id || !experiment.variant) return;
+        if (experimentId && experiment.id !== experimentId) return;
+
+        groups[experiment.id] = groups[experiment.id] || {};
+        groups[experiment.id][experiment.variant] = groups[experiment.id][experiment.variant] || [];
+        groups[experiment.id][experiment.variant].push(transcript);
+    });
+
+    const summary = {};
+    Object.entries(groups).forEach(([id, variants]) => {
+        summary[id] = {};
+        Object.entries(variants).forEach(([variantId, calls]) => {
+            const durations = calls.map(call => call.tokenUsage?.call_duration_seconds ?? call.duration).filter(Number.isFinite);
+            const costs = calls.map(call => call.tokenUsage?.estimated_cost_usd).filter(Number.isFinite);
+            const routed = calls.filter(call => call.callState?.routing).length;
+            const propertyIds = calls.filter(call => call.callState?.property_id).length;
+
+            summary[id][variantId] = {
+                calls: calls.length,
+                avg_duration_seconds: round(average(durations), 1),
+                routing_completion_rate: round(routed / calls.length, 3),
+                property_id_capture_rate: round(propertyIds / calls.length, 3),
+                avg_cost_usd: round(average(costs), 4),
+                total_cost_usd: round(costs.reduce((sum, cost) => sum + cost, 0), 4)
+            };
+        });
+    });
+    return summary;
+};
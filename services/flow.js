@@ -0,0 +1,115 @@
+// Conversation flow (state machine) definitions
+// A flow file (ai-setting/u247-flow.json) lists states with their instructions, required slots and
+// allowed transitions. The AI reports moves with save_caller_info current_state; checkFlowTransition
+// decides whether the move is allowed, and getFlowInstructions gives the focused prompt for a state.
+
+import path from 'path';
+import { loadFromStorage } from './storage.js';
+
+// Slot values that count as missing
+const isEmptySlot = (value) => value === null || value === undefined || value === '';
+
+// Check a flow definition; returns an error message, or null when valid
+// { initial_state, global_transitions?, states: { ID: { instructions, collects?, required_slots?, transitions?, final? } } }
+export const validateFlow = (flow) => {
+    if (!flow || typeof flow !== 'object' || Array.isArray(flow)) return 'flow must be an object';
+    const states = flow.states;
+    if (!states || typeof states !== 'object' || Object.keys(states).length === 0) return 'flow.states must list at least one state';
+    if (!states[flow.initial_state]) return `initial_state "${flow.initial_state}" is not a state`;
+
+    const globalTransitions = flow.global_transitions || [];
+    if (!Array.isArray(globalTransitions)) return 'global_transitions must be an array';
+    const unknownGlobal = globalTransitions.find(id => !states[id]);
+    if (unknownGlobal) return `global_transitions: unknown state "${unknownGlobal}"`;
+
+    for (const [id, state] of Object.entries(states)) {
+        if (!state || typeof state !== 'object') return `state ${id} must be an object`;
+        if (typeof state.instructions !== 'string' || !state.instructions.trim()) return `state ${id} needs instructions`;
+        for (const key of ['transitions', 'required_slots']) {
+            if (state[key] !== undefined && !Array.isArray(state[key])) return `state ${id}: ${key} must be an array`;
+        }
+        const unknown = (state.transitions || []).find(target => !states[target]);
+        if (unknown) return `state ${id}: transition to unknown state "${unknown}"`;
+        if (!state.final && (state.transitions || []).length === 0 && globalTransitions.length === 0) {
+            return `state ${id} has no transitions (mark it "final": true if the call ends there)`;
+        }
+    }
+    return null;
+};
+
+// Load a flow file from GCS or local; null (prompt-only flow) when missing or invalid
+export const loadFlow = async (flowPath = 'ai-setting/u247-flow.json') => {
+    try {
+        const result = await loadFromStorage(flowPath, path.join(process.cwd(), flowPath));
+        if (!result.success) {
+            console.log(`ℹ️  No flow file (${flowPath}) - call flow is prompt-only`);
+            return null;
+        }
+
+        const flow = JSON.parse(result.content);
+        const error = validateFlow(flow);
+        if (error) {
+            console.error(`✗ Invalid flow ${flowPath}: ${error} - call flow is prompt-only`);
+            return null;
+        }
+        console.log(`✓ Loaded flow from ${result.source}: ${Object.keys(flow.states).length} states, starts at ${flow.initial_state}`);
+        return flow;
+    } catch (err) {
+        console.error(`✗ Error loading flow ${flowPath}:`, err.message);
+        return null;
+    }
+};
+
+// States reachable from `stateId`
+export const getAllowedTransitions = (flow, stateId) => {
+    const state = flow.states[stateId];
+    if (state?.final) return [];
+    return [...new Set([...(state?.transitions || []), ...(flow.global_transitions || [])])].filter(id => id !== stateId);
+};
+
+// Decide whether the call may move from `fromState` to `toState`
+// Returns { allowed, error, missing_slots, allowed_states }
+export const checkFlowTransition = (flow, fromState, toState, callState) => {
+    const allowedStates = getAllowedTransitions(flow, fromState);
+    const reject = (error, missingSlots = []) => ({ allowed: false, error, missing_slots: missingSlots, allowed_states: allowedStates });
+
+    if (!flow.states[toState]) {
+        return reject(`Unknown state "${toState}".`);
+    }
+    if (fromState === toState) {
+        return { allowed: true, error: null, missing_slots: [], allowed_states: allowedStates };
+    }
+    if (flow.states[fromState]?.final) {
+        return reject(`The call flow has ended (${fromState}).`);
+    }
+    if (!allowedStates.includes(toState)) {
+        return reject(`Cannot go from ${fromState} to ${toState}.`);
+    }
+
+    const missingSlots = (flow.states[toState].required_slots || []).filter(slot => isEmptySlot(callState[slot]));
+    if (missingSlots.length > 0) {
+        return reject(`${toState} needs ${missingSlots.join(', ')} first. Ask the caller and save it with save_caller_info.`, missingSlots);
+    }
+    return { allowed: true, error: null, missing_slots: [], allowed_states: allowedStates };
+};
+
+// Focused instructions for the current state, appended to the session instructions
+export const getFlowInstructions = (flow, stateId) => {
+    const state = flow.states[stateId];
+    if (!state) return '';
+
+    const lines = [
+        `CONVERSATION FLOW: The call flow is tracked by the system. Current state: ${stateId}.`,
+        'Follow ONLY this step now. These instructions replace any STATE steps described above.',
+        state.instructions.trim()
+    ];
+    if (state.collects) {
+        lines.push(`Save "${state.collects}" with save_caller_info as soon as the caller gives it.`);
+    }
+    if (state.final) {
+        lines.push('This is the last step of the flow.');
+    } else {
+        lines.push(`When this step is done, call save_caller_info with current_state set to the next state: ${getAllowedTransitions(flow, stateId).join(', ')}. Moves to other states are rejected.`);
+    }
+    return `\n\n${lines.join('\n')}`;
+};
@@ -0,0 +1,306 @@
+// Knowledge base search over Update247 help articles
+// Articles are Markdown (.md) or JSON (.json) files under KNOWLEDGE_BASE_DIR (default asset/),
+// or under KNOWLEDGE_BASE_GCS_PREFIX in the bucket. They are split into passages and ranked with BM25,
+// in memory - no external search service.
+// Passage source IDs are "<article path without extension>#<passage number>", e.g. help/channel-mapping#2
+
+import fs from 'fs';
+import path from 'path';
+import { KNOWLEDGE_BASE_SETTINGS } from '../config/index.js';
+import { getStorage, GCS_BUCKET } from './storage.js';
+
+// BM25 tuning (standard values)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'if', 'in',
+    'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'this', 'to', 'was', 'what',
+    'when', 'where', 'which', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Keys used as the article title in JSON files
+const JSON_TITLE_KEYS = ['title', 'page_title', 'name'];
+
+let cachedIndex = null;
+let cachedAt = 0;
+let loadingIndex = null;
+
+// Lowercase words, minus stopwords, with a light plural strip ("mappings" -> "mapping")
+const tokenize = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOPWORDS.has(token))
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+};
+
+// Split long text on line (then sentence) boundaries into chunks of about maxChars
+const chunkText = (text, maxChars) => {
+    const parts = text.split(/\n+|(?<=[.!?])\s+/).map(part => part.trim()).filter(Boolean);
+    const chunks = [];
+    let current = '';
+    parts.forEach((part) => {
+        if (current && current.length + part.length + 1 > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${part}` : part;
+    });
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+// Markdown: one section per heading, long sections chunked
+const parseMarkdown = (content, fallbackTitle) => {
+    const titleMatch = content.match(/^#\s+(.+)$/m);
+    const sections = [];
+    let heading = null;
+    let lines = [];
+
+    const flush = () => {
+        const text = lines.join('\n').trim();
+        if (text) sections.push({ heading: heading, text: text });
+        lines = [];
+    };
+
+    content.split(/\r?\n/).forEach((line) => {
+        const headingMatch = line.match(/^#{1,6}\s+(.+)$/);
+        if (headingMatch) {
+            flush();
+            heading = headingMatch[1].trim();
+        } else {
+            lines.push(line);
+        }
+    });
+    flush();
+
+    return { title: titleMatch ? titleMatch[1].trim() : fallbackTitle, sections: sections };
+};
+
+// "key: value" lines for any JSON value
+const flattenJson = (value, label = '') => {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) {
+        if (value.every(item => typeof item !== 'object' || item === null)) {
+            return [`${label}: ${value.join(', ')}`];
+        }
+        return value.flatMap(item => flattenJson(item, label));
+    }
+    if (typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => flattenJson(item, key.replace(/_/g, ' ')));
+    }
+    return [label ? `${label}: ${value}` : String(value)];
+};
+
+// Find a title in the top two levels of a JSON document
+const findJsonTitle = (data) => {
+    const candidates = [data, ...Object.values(data).filter(value => value && typeof value === 'object' && !Array.isArray(value))];
+    for (const candidate of candidates) {
+        const key = JSON_TITLE_KEYS.find(name => typeof candidate[name] === 'string' && candidate[name].trim());
+        if (key) return candidate[key].trim();
+    }
+    return null;
+};
+
+// JSON: an article ({ title, content | body }) or a list of them is read like Markdown;
+// any other document (e.g. the screenshot descriptions) becomes one section per property
+const parseJson = (content, fallbackTitle) => {
+    const data = JSON.parse(content);
+    const articles = Array.isArray(data) ? data : [data];
+
+    if (articles.every(article => article && typeof (article.content || article.body) === 'string')) {
+        return articles.map((article, i) => {
+            const parsed = parseMarkdown(article.content || article.body, article.title || fallbackTitle);
+            return { ...parsed, title: article.title || parsed.title, suffix: articles.length > 1 ? (article.id || String(i + 1)) : null };
+        });
+    }
+
+    const sections = [];
+    Object.entries(data).forEach(([key, value]) => {
+        // Descend one level into wrapper objects so each property is its own section
+        const entries = value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : [[key, value]];
+        entries.forEach(([name, item]) => {
+            const text = flattenJson(item, name.replace(/_/g, ' ')).join('\n');
+            if (text) sections.push({ heading: null, text: text });
+        });
+    });
+    return [{ title: findJsonTitle(data) || fallbackTitle, sections: sections }];
+};
+
+// Turn one file into passages: sections are merged or chunked to about PASSAGE_CHARS
+const buildPassages = (relativePath, content) => {
+    const articleId = relativePath.replace(/\\/g, '/').replace(/\.(md|markdown|json)$/i, '');
+    const fallbackTitle = path.basename(articleId).replace(/[-_]+/g, ' ');
+    const articles = /\.json$/i.test(relativePath)
+        ? parseJson(content, fallbackTitle)
+        : [parseMarkdown(content, fallbackTitle)];
+
+    const passages = [];
+    articles.forEach((article) => {
+        const id = article.suffix ? `${articleId}/${article.suffix}` : articleId;
+        const texts = [];
+        article.sections.forEach((section) => {
+            const sectionText = section.heading ? `${section.heading}\n${section.text}` : section.text;
+            const last = texts.length - 1;
+            if (last >= 0 && texts[last].length + sectionText.length + 2 <= KNOWLEDGE_BASE_SETTINGS.PASSAGE_CHARS) {
+                texts[last] = `${texts[last]}\n\n${sectionText}`;
+            } else {
+                texts.push(...chunkText(sectionText, KNOWLEDGE_BASE_SETTINGS.PASSAGE_CHARS));
+            }
+        });
+
+        texts.forEach((text, i) => {
+            passages.push({
+                source_id: `${id}#${i + 1}`,
+                article_id: id,
+                title: article.title,
+                text: text
+            });
+        });
+    });
+    return passages;
+};
+
+const isArticleFile = (name) => /\.(md|markdown|json)$/i.test(name);
+
+// Read articles from the local directory (recursive)
+const readLocalArticles = () => {
+    const root = path.resolve(process.cwd(), KNOWLEDGE_BASE_SETTINGS.LOCAL_DIR);
+    if (!fs.existsSync(root)) {
+        console.log(`[Knowledge Base] Local directory not found: ${root}`);
+        return [];
+    }
+
+    const files = [];
+    const walk = (dir) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(fullPath);
+            else if (isArticleFile(entry.name)) files.push({ path: path.relative(root, fullPath), content: fs.readFileSync(fullPath, 'utf-8') });
+        });
+    };
+    walk(root);
+    return files;
+};
+
+// Read articles under the GCS prefix
+const readGcsArticles = async (storage) => {
+    const prefix = KNOWLEDGE_BASE_SETTINGS.GCS_PREFIX;
+    const [gcsFiles] = await storage.bucket(GCS_BUCKET).getFiles({ prefix: prefix });
+    return Promise.all(gcsFiles
+        .filter(file => isArticleFile(file.name))
+        .map(async (file) => {
+            const [content] = await file.download();
+            return { path: file.name.slice(prefix.length).replace(/^\/+/, ''), content: content.toString('utf-8') };
+        }));
+};
+
+// Build the BM25 index over all passages
+const buildIndex = (files) => {
+    const passages = [];
+    files.forEach((file) => {
+        try {
+            passages.push(...buildPassages(file.path, file.content));
+        } catch (err) {
+            console.error(`[Knowledge Base] ✗ Skipping ${file.path}: ${err.message}`);
+        }
+    });
+
+    const documentFrequency = {};
+    let totalLength = 0;
+    passages.forEach((passage) => {
+        // Titles count towards every passage of the article
+        const tokens = tokenize(`${passage.title}\n${passage.text}`);
+        passage.length = tokens.length;
+        passage.termFrequency = {};
+        tokens.forEach((token) => {
+            passage.termFrequency[token] = (passage.termFrequency[token] || 0) + 1;
+        });
+        Object.keys(passage.termFrequency).forEach((token) => {
+            documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+        });
+        totalLength += tokens.length;
+    });
+
+    return {
+        passages: passages,
+        documentFrequency: documentFrequency,
+        averageLength: passages.length > 0 ? totalLength / passages.length : 0,
+        articles: new Set(passages.map(passage => passage.article_id)).size
+    };
+};
+
+// Load and index the articles (GCS prefix first, then the local directory), cached for CACHE_MS
+export const loadKnowledgeBase = async (forceReload = false) => {
+    if (!forceReload && cachedIndex && Date.now() - cachedAt < KNOWLEDGE_BASE_SETTINGS.CACHE_MS) {
+        return cachedIndex;
+    }
+    // Concurrent calls share one load
+    if (loadingIndex) return loadingIndex;
+
+    loadingIndex = (async () => {
+        let files = null;
+        let source = 'local';
+        const storage = getStorage();
+        if (storage && GCS_BUCKET && KNOWLEDGE_BASE_SETTINGS.GCS_PREFIX) {
+            try {
+                files = await readGcsArticles(storage);
+                source = `gcs:${KNOWLEDGE_BASE_SETTINGS.GCS_PREFIX}`;
+            } catch (err) {
+                console.error('[Knowledge Base] ✗ GCS load failed, using local articles:', err.message);
+            }
+        }
+        if (!files) {
+            files = readLocalArticles();
+            source = `local:${KNOWLEDGE_BASE_SETTINGS.LOCAL_DIR}`;
+        }
+
+        const index = buildIndex(files);
+        console.log(`[Knowledge Base] ✓ Indexed ${index.articles} article(s), ${index.passages.length} passage(s) from ${source}`);
+        cachedIndex = index;
+        cachedAt = Date.now();
+        return index;
+    })();
+
+    try {
+        return await loadingIndex;
+    } catch (err) {
+        console.error('[Knowledge Base] ✗ Failed to load articles:', err.message);
+        return cachedIndex || buildIndex([]);
+    } finally {
+        loadingIndex = null;
+    }
+};
+
+// Top passages for a query: [{ source_id, article_id, title, score, text }]
+export const searchKnowledgeBase = async (query, limit = KNOWLEDGE_BASE_SETTINGS.MAX_RESULTS) => {
+    const index = await loadKnowledgeBase();
+    const queryTokens = [...new Set(tokenize(query))];
+    const total = index.passages.length;
+    if (queryTokens.length === 0 || total === 0) return [];
+
+    return index.passages
+        .map((passage) => {
+            let score = 0;
+            queryTokens.forEach((token) => {
+                const frequency = passage.termFrequency[token];
+                if (!frequency) return;
+                const df = index.documentFrequency[token];
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * passage.length / index.averageLength));
+            });
+            return { passage, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+            source_id: passage.source_id,
+            article_id: passage.article_id,
+            title: passage.title,
+            score: Math.round(score * 100) / 100,
+            text: passage.text
+        }));
+};
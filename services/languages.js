@@ -0,0 +1,73 @@
+// Conversation languages
+// Calls start in the agent settings' default_language (or a per-call language) and the AI switches with
+// the set_language tool. Each language in `languages` may override the voice, greeting and instructions,
+// and sets the language Whisper transcribes the caller in.
+// languages: { code: { name, voice?, greeting?, instructions?, transcription_language? } }
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+// Names for common codes when the settings do not give one
+const LANGUAGE_NAMES = { en: 'English', hi: 'Hindi', pa: 'Punjabi', ur: 'Urdu', zh: 'Chinese', vi: 'Vietnamese', ar: 'Arabic', es: 'Spanish' };
+
+const LANGUAGE_TEXT_FIELDS = ['name', 'voice', 'greeting', 'instructions', 'transcription_language'];
+
+// Check a languages setting; returns an error message, or null when valid
+export const validateLanguages = (languages, defaultLanguage) => {
+    if (defaultLanguage !== undefined && !LANGUAGE_CODE_PATTERN.test(String(defaultLanguage))) {
+        return 'default_language must be a language code such as en or hi';
+    }
+    if (languages === undefined) return null;
+    if (!languages || typeof languages !== 'object' || Array.isArray(languages)) return 'languages must be an object keyed by language code';
+    for (const [code, language] of Object.entries(languages)) {
+        if (!LANGUAGE_CODE_PATTERN.test(code)) return `languages: "${code}" is not a language code such as en or hi`;
+        if (!language || typeof language !== 'object' || Array.isArray(language)) return `languages.${code} must be an object`;
+        const field = LANGUAGE_TEXT_FIELDS.find(key => language[key] !== undefined && typeof language[key] !== 'string');
+        if (field) return `languages.${code}.${field} must be a string`;
+    }
+    return null;
+};
+
+// Languages the call can use: the default language first, then the configured ones
+export const getSupportedLanguages = (settings) => {
+    const defaultLanguage = settings.default_language || 'en';
+    const codes = [...new Set([defaultLanguage, ...Object.keys(settings.languages || {})])];
+    return codes.map(code => ({ code: code, name: getLanguageSettings(settings, code).name }));
+};
+
+// One language's settings with its name filled in
+export const getLanguageSettings = (settings, code) => {
+    const language = (settings.languages || {})[code] || {};
+    return { ...language, code: code, name: language.name || LANGUAGE_NAMES[code.split('-')[0]] || code };
+};
+
+// Match a code or name given by the AI or a caller ("hi", "Hindi", "HI") to a supported language; null if none
+export const matchLanguage = (settings, value) => {
+    const wanted = String(value || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const match = getSupportedLanguages(settings).find(language => language.code.toLowerCase() === wanted || language.name.toLowerCase() === wanted);
+    return match ? match.code : null;
+};
+
+// Whisper language for the call's current language (ISO-639-1, e.g. en-AU -> en)
+export const getTranscriptionLanguage = (settings, code) => {
+    const language = getLanguageSettings(settings, code);
+    return language.transcription_language || code.split('-')[0];
+};
+
+// Greeting for a call that starts in `code` (the language's voice is applied by createSessionUpdate)
+export const applyLanguageToSettings = (settings, code) => {
+    const language = getLanguageSettings(settings, code);
+    return language.greeting ? { ...settings, initial_greeting: language.greeting } : settings;
+};
+
+// Language block appended to the session instructions (only when more than one language is configured)
+export const getLanguageInstructions = (settings, code) => {
+    const supported = getSupportedLanguages(settings);
+    if (supported.length < 2 || !code) return '';
+
+    const language = getLanguageSettings(settings, code);
+    const lines = [`LANGUAGE: Speak ${language.name} now.`];
+    if (language.instructions) lines.push(language.instructions);
+    lines.push(`If the caller clearly asks for a different language, call set_language first, then continue in that language. Supported: ${supported.map(l => `${l.code} (${l.name})`).join(', ')}.`);
+    return `\n\n${lines.join('\n')}`;
+};
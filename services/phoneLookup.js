@@ -3,7 +3,8 @@ import path from 'path';
 import { getStorage, GCS_BUCKET } from './storage.js';
 
 // Function to load and lookup phone mappings
-export const lookupPropertyByPhone = async (phoneNumber) => {
+// mappingsFile: per-tenant mappings source (bucket path and local path relative to the working directory)
+export const lookupPropertyByPhone = async (phoneNumber, mappingsFile = 'phone-mappings.json') => {
     const storage = getStorage();
     
     try {
@@ -11,7 +12,7 @@ export const lookupPropertyByPhone = async (phoneNumber) => {
         if (storage && GCS_BUCKET) {
             try {
                 console.log('[Phone Lookup] Attempting GCS lookup from bucket:', GCS_BUCKET);
-                const file = storage.bucket(GCS_BUCKET).file('phone-mappings.json');
+                const file = storage.bucket(GCS_BUCKET).file(mappingsFile);
                 const [exists] = await file.exists();
                 if (exists) {
                     const [content] = await file.download();
@@ -19,7 +20,7 @@ export const lookupPropertyByPhone = async (phoneNumber) => {
                     console.log('[Phone Lookup] ✓ Loaded phone mappings from GCS, found', mappings.phone_mappings?.length || 0, 'entries');
                     return findPhoneMatch(phoneNumber, mappings.phone_mappings);
                 } else {
-                    console.log('[Phone Lookup] phone-mappings.json does not exist in GCS');
+                    console.log(`[Phone Lookup] ${mappingsFile} does not exist in GCS`);
                 }
             } catch (err) {
                 console.log('[Phone Lookup] GCS lookup failed, trying local file. Error:', err.message);
@@ -29,16 +30,16 @@ export const lookupPropertyByPhone = async (phoneNumber) => {
         }
         
         // Fallback to local file
-        const localPath = path.join(process.cwd(), 'phone-mappings.json');
+        const localPath = path.join(process.cwd(), mappingsFile);
         console.log('[Phone Lookup] Checking local file at:', localPath);
         if (fs.existsSync(localPath)) {
-            console.log('[Phone Lookup] ✓ Local phone-mappings.json found');
+            console.log(`[Phone Lookup] ✓ Local ${mappingsFile} found`);
             const content = fs.readFileSync(localPath, 'utf-8');
             const mappings = JSON.parse(content);
             console.log('[Phone Lookup] Loaded', mappings.phone_mappings?.length || 0, 'phone mappings from local file');
             return findPhoneMatch(phoneNumber, mappings.phone_mappings);
         } else {
-            console.log('[Phone Lookup] ✗ Local phone-mappings.json not found at:', localPath);
+            console.log(`[Phone Lookup] ✗ Local ${mappingsFile} not found at:`, localPath);
         }
         
         console.log('[Phone Lookup] No phone mappings file found (GCS or local)');
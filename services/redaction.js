@@ -0,0 +1,119 @@
+// PII redaction for transcripts before they are saved or emailed
+// Detects card numbers (Luhn checked), email addresses, phone numbers and street addresses in every text field,
+// then applies the destination's policy from REDACTION_SETTINGS:
+//   full   - unchanged (the restricted bucket copy)
+//   mask   - a hint is kept: card ****1111, phone *******678, email j***@example.com, [address]
+//   remove - replaced by the type: [card], [email], [phone], [address]
+
+import { REDACTION_SETTINGS } from '../config/index.js';
+
+export const REDACTION_POLICIES = ['full', 'mask', 'remove'];
+
+const STREET_TYPES = ['Street', 'St', 'Road', 'Rd', 'Avenue', 'Ave', 'Drive', 'Dr', 'Lane', 'Ln', 'Court', 'Ct', 'Place', 'Pl',
+    'Crescent', 'Cres', 'Boulevard', 'Blvd', 'Parade', 'Pde', 'Highway', 'Hwy', 'Terrace', 'Tce', 'Close', 'Circuit', 'Cct', 'Way', 'Esplanade'];
+
+// Keep the last `keep` digits, separators stay where they were
+const maskDigits = (value, keep) => {
+    let remaining = value.replace(/\D/g, '').length - keep;
+    return value.replace(/\d/g, digit => (remaining-- > 0 ? '*' : digit));
+};
+
+// Luhn checksum, so order numbers and other long digit runs are not taken for cards
+const passesLuhn = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// Detectors run in this order: cards before phones, so a card's digits are never half-masked as a phone number
+const DETECTORS = {
+    card: {
+        pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+        // A run may carry trailing digits (e.g. the expiry): drop trailing groups until a card number checks out
+        find: (match) => {
+            let candidate = match;
+            while (candidate.replace(/\D/g, '').length >= 13) {
+                const digits = candidate.replace(/\D/g, '');
+                if (digits.length <= 19 && passesLuhn(digits)) return candidate;
+                candidate = candidate.replace(/[ -]?\d$/, '');
+            }
+            return null;
+        },
+        mask: (value) => maskDigits(value, 4)
+    },
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+        mask: (value) => `${value[0]}***${value.slice(value.indexOf('@'))}`
+    },
+    phone: {
+        // Australian numbers (+61 4xx, 04xx, (02) xxxx xxxx) and other international numbers with a +
+        pattern: /(?<![\w+])(?:(?:\+61[ -]?|\(?0)[2-478]\)?(?:[ -]?\d){8}|\+[1-9](?:[ -]?\d){7,13})(?!\d)/g,
+        mask: (value) => maskDigits(value, 3)
+    },
+    address: {
+        // Street number, one to three capitalised words and a street type, e.g. 12/4 Smith Street, 7 Ocean View Rd
+        pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?(?:\\/\\d{1,5}[A-Za-z]?)?,?\\s+(?:[A-Z][A-Za-z'-]+\\s+){1,3}(?:${STREET_TYPES.map(type => `[${type[0]}${type[0].toLowerCase()}]${type.slice(1)}`).join('|')})\\b\\.?`, 'g'),
+        mask: () => '[address]'
+    }
+};
+
+// Policy for a destination (unknown policies fall back to mask, so a typo never leaks raw details)
+export const getRedactionPolicy = (destination) => {
+    const policy = REDACTION_SETTINGS.POLICY[destination] || 'mask';
+    return REDACTION_POLICIES.includes(policy) ? policy : 'mask';
+};
+
+// Redact one string; counts found items per type into `counts`
+export const redactText = (text, policy, counts = {}) => {
+    let result = text;
+    for (const type of REDACTION_SETTINGS.DETECTORS) {
+        const detector = DETECTORS[type];
+        if (!detector) continue;
+        result = result.replace(detector.pattern, (match) => {
+            const found = detector.find ? detector.find(match) : match;
+            if (!found) return match;
+            counts[type] = (counts[type] || 0) + 1;
+            const replacement = policy === 'full' ? found : policy === 'remove' ? `[${type}]` : detector.mask(found);
+            return replacement + match.slice(found.length);
+        });
+    }
+    return result;
+};
+
+// Redact every string in a value, leaving KEEP_FIELDS (call metadata, validation messages) as they are
+const redactValue = (value, policy, counts) => {
+    if (typeof value === 'string') return redactText(value, policy, counts);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, policy, counts));
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = REDACTION_SETTINGS.KEEP_FIELDS.includes(key) ? item : redactValue(item, policy, counts);
+        }
+        return result;
+    }
+    return value;
+};
+
+// Copy of a transcript for a destination (restricted, transcripts, backups, email)
+// The copy records what was found under `redaction`: { destination, policy, counts, total }
+export const redactTranscript = (transcript, destination) => {
+    if (!REDACTION_SETTINGS.ENABLED) return transcript;
+
+    const policy = getRedactionPolicy(destination);
+    const counts = Object.fromEntries(REDACTION_SETTINGS.DETECTORS.filter(type => DETECTORS[type]).map(type => [type, 0]));
+    const { redaction: previous, ...content } = transcript;
+    const redacted = redactValue(content, policy, counts);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (total > 0 && policy !== 'full') {
+        console.log(`[Redaction] ✓ ${policy === 'mask' ? 'Masked' : 'Removed'} ${total} item(s) for ${destination}: ${Object.entries(counts).filter(([, count]) => count > 0).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+    }
+    return { ...redacted, redaction: { destination: destination, policy: policy, counts: counts, total: total } };
+};
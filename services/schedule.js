@@ -0,0 +1,144 @@
+import path from 'path';
+import { loadFromStorage } from './storage.js';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Load business hours schedule (ai-setting/u247-schedule.json) from GCS or local file
+export const loadSchedule = async (schedulePath = 'ai-setting/u247-schedule.json') => {
+    try {
+        const localPath = path.join(process.cwd(), schedulePath);
+        const result = await loadFromStorage(schedulePath, localPath);
+        if (!result.success) {
+            console.log('⚠️  Schedule file not found (GCS or local) - treating office as always open');
+            return null;
+        }
+
+        const schedule = JSON.parse(result.content);
+        console.log(`✓ Loaded schedule from ${result.source} (timezone: ${schedule.timezone}, holidays: ${schedule.holidays?.length || 0})`);
+        return schedule;
+    } catch (err) {
+        console.error('✗ Error loading schedule:', err.message);
+        return null;
+    }
+};
+
+// Get date/weekday/time of `date` in the schedule's timezone
+const getLocalTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type)?.value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        day: get('weekday').toLowerCase().slice(0, 3),
+        time: `${get('hour')}:${get('minute')}`
+    };
+};
+
+// Check whether "HH:MM" falls inside any "HH:MM-HH:MM" range
+const isWithinRanges = (time, ranges = []) => {
+    return ranges.some((range) => {
+        const [open, close] = String(range).split('-').map(s => s.trim());
+        return open && close && time >= open && time < close;
+    });
+};
+
+// Work out whether the office is open and how calls should be handled right now
+// Returns { configured, status: 'open' | 'after_hours' | 'holiday', mode: 'ai' | 'after_hours_ai' | 'voicemail', ... }
+export const getScheduleState = (schedule, now = new Date()) => {
+    if (!schedule) {
+        return { configured: false, is_open: true, status: 'open', mode: 'ai', timezone: null, local_date: null, local_time: null, holiday: null };
+    }
+
+    const timezone = schedule.timezone || 'Australia/Sydney';
+    const local = getLocalTime(now, timezone);
+    const holiday = (schedule.holidays || []).find(h => h.date === local.date) || null;
+
+    let status = 'open';
+    if (holiday) {
+        status = 'holiday';
+    } else if (!isWithinRanges(local.time, (schedule.weekly_hours || {})[local.day])) {
+        status = 'after_hours';
+    }
+
+    let mode = 'ai';
+    if (status === 'holiday') {
+        mode = schedule.holiday_mode === 'voicemail' ? 'voicemail' : 'after_hours_ai';
+    } else if (status === 'after_hours') {
+        mode = schedule.after_hours_mode === 'voicemail' ? 'voicemail' : 'after_hours_ai';
+    }
+
+    return {
+        configured: true,
+        is_open: status === 'open',
+        status,
+        mode,
+        timezone,
+        local_date: local.date,
+        local_day: local.day,
+        local_time: local.time,
+        holiday: holiday ? holiday.name || holiday.date : null
+    };
+};
+
+// Describe today's opening hours, e.g. "09:00-17:00" or "closed"
+const describeHours = (schedule, day) => {
+    const ranges = (schedule.weekly_hours || {})[day] || [];
+    return ranges.length > 0 ? ranges.join(', ') : 'closed';
+};
+
+// Build the instructions block telling the AI whether the office is open
+const buildScheduleInstructions = (schedule, scheduleState) => {
+    if (!scheduleState || !scheduleState.configured) {
+        return '';
+    }
+
+    const hoursSummary = DAY_KEYS
+        .map(day => `${day}: ${describeHours(schedule, day)}`)
+        .join('; ');
+
+    if (scheduleState.is_open) {
+        return `\n\nOFFICE HOURS (${scheduleState.timezone}): The office is OPEN now (local time ${scheduleState.local_time}). Opening hours: ${hoursSummary}.`;
+    }
+
+    const reason = scheduleState.status === 'holiday'
+        ? `today is a public holiday (${scheduleState.holiday})`
+        : 'it is outside business hours';
+
+    return `\n\nOFFICE HOURS (${scheduleState.timezone}): The office is CLOSED now because ${reason} (local time ${scheduleState.local_time}). Opening hours: ${hoursSummary}.
+- Do NOT offer to transfer the caller to a person.
+- Do NOT promise a callback today. Say the team will get back to them on the next business day.
+- Collect the caller's name, contact details and issue so the team can follow up.`;
+};
+
+// Apply the schedule to a call's settings: after-hours persona plus office-hours instructions
+export const applyScheduleToSettings = (settings, scheduleState) => {
+    if (!scheduleState || !scheduleState.configured) {
+        return { ...settings, schedule_state: scheduleState || null };
+    }
+
+    const schedule = settings.schedule || {};
+    const afterHours = scheduleState.mode === 'after_hours_ai' ? (schedule.after_hours || {}) : {};
+
+    let systemMessage = settings.system_message || '';
+    if (afterHours.instructions) {
+        systemMessage += `\n\nAFTER-HOURS MODE: ${afterHours.instructions}`;
+    }
+    systemMessage += buildScheduleInstructions(schedule, scheduleState);
+
+    return {
+        ...settings,
+        system_message: systemMessage,
+        voice: afterHours.voice || settings.voice,
+        initial_greeting: afterHours.initial_greeting || settings.initial_greeting,
+        schedule_state: scheduleState
+    };
+};
@@ -0,0 +1,95 @@
+import path from 'path';
+import { loadFromStorage } from './storage.js';
+
+const SCREENING_FILE = 'caller-screening.json';
+
+// Re-read the screening file at most this often so edits in storage apply without a restart
+const SCREENING_CACHE_MS = 60000;
+
+// Used when caller-screening.json is missing: only failed STIR/SHAKEN attestations are blocked
+const DEFAULT_SCREENING = {
+    allowlist: [],
+    blocklist: [],
+    block_anonymous: false,
+    blocked_stir_verstat: ['TN-Validation-Failed-A', 'TN-Validation-Failed-B', 'TN-Validation-Failed-C', 'TN-Validation-Failed'],
+    action: 'message',
+    message: 'Sorry, we are unable to take your call. If you are a customer, please email support at update247.com.au. Goodbye.'
+};
+
+// Caller IDs Twilio uses for withheld numbers
+const ANONYMOUS_CALLER_IDS = ['', 'anonymous', 'restricted', 'private', 'unknown', 'unavailable', '266696687'];
+
+let cachedScreening = null;
+let cachedAt = 0;
+
+// Normalize a phone number to digits only for comparison
+const normalizeNumber = (number) => String(number || '').replace(/\D/g, '');
+
+// Load the screening rules (GCS first, then local file), cached for SCREENING_CACHE_MS
+export const loadScreening = async (forceReload = false) => {
+    if (!forceReload && cachedScreening && Date.now() - cachedAt < SCREENING_CACHE_MS) {
+        return cachedScreening;
+    }
+
+    let screening = DEFAULT_SCREENING;
+    try {
+        const result = await loadFromStorage(SCREENING_FILE, path.join(process.cwd(), SCREENING_FILE));
+        if (result.success) {
+            screening = { ...DEFAULT_SCREENING, ...JSON.parse(result.content) };
+            console.log(`[Screening] ✓ Loaded ${SCREENING_FILE} from ${result.source}: ${screening.blocklist.length} blocked, ${screening.allowlist.length} allowed`);
+        }
+    } catch (err) {
+        console.error(`[Screening] ✗ Error loading ${SCREENING_FILE}, using defaults:`, err.message);
+    }
+
+    cachedScreening = screening;
+    cachedAt = Date.now();
+    return screening;
+};
+
+// Match a caller against list entries: "+61412345678" (exact) or "+611900*" (prefix)
+const findListMatch = (callerNumber, entries = []) => {
+    const caller = normalizeNumber(callerNumber);
+    if (!caller) return null;
+
+    return entries.find((entry) => {
+        const value = typeof entry === 'string' ? entry : entry?.number;
+        if (!value) return false;
+        const digits = normalizeNumber(value);
+        if (!digits) return false;
+        return String(value).trim().endsWith('*') ? caller.startsWith(digits) : caller === digits;
+    }) || null;
+};
+
+// Decide whether an /incoming-call webhook should reach the AI
+// Returns { blocked, reason, rule, action, message }
+export const screenCaller = async (webhookBody) => {
+    const screening = await loadScreening();
+    const from = String(webhookBody.From || webhookBody.from || '').trim();
+    const stirVerstat = webhookBody.StirVerstat || null;
+
+    const decision = (reason, rule) => ({
+        blocked: Boolean(reason),
+        reason: reason,
+        rule: rule,
+        action: (typeof rule === 'object' && rule?.action) || screening.action,
+        message: (typeof rule === 'object' && rule?.message) || screening.message
+    });
+
+    // Allowlisted callers skip every other check
+    const allowed = findListMatch(from, screening.allowlist);
+    if (allowed) return decision(null, allowed);
+
+    const blocked = findListMatch(from, screening.blocklist);
+    if (blocked) return decision('blocklist', blocked);
+
+    if (screening.block_anonymous && ANONYMOUS_CALLER_IDS.includes(from.toLowerCase().replace(/^\+/, ''))) {
+        return decision('anonymous', null);
+    }
+
+    if (stirVerstat && (screening.blocked_stir_verstat || []).includes(stirVerstat)) {
+        return decision('stir_verstat', stirVerstat);
+    }
+
+    return decision(null, null);
+};
@@ -0,0 +1,103 @@
+import { MAX_CONCURRENT_CALLS, SESSION_RESERVATION_TTL_MS } from '../config/index.js';
+
+// Active AI sessions (open /media-stream pipelines), keyed by session id
+const activeSessions = {};
+
+// Slots held by accepted calls until their stream connects, keyed by CallSid
+// (or a placeholder key for outbound calls being placed and PCM / browser sessions)
+const reservations = {};
+
+const stats = {
+    peak_active: 0,
+    accepted_total: 0,
+    rejected_total: 0,
+    rejected_by_action: {},
+    last_rejected_at: null,
+    since: new Date().toISOString()
+};
+
+let nextSessionId = 1;
+
+// Drop reservations whose stream never connected
+const pruneReservations = () => {
+    const now = Date.now();
+    for (const [callSid, expiresAt] of Object.entries(reservations)) {
+        if (expiresAt <= now) delete reservations[callSid];
+    }
+};
+
+// Sessions in use: active streams plus reserved slots
+const getUsedSlots = () => {
+    pruneReservations();
+    return Object.keys(activeSessions).length + Object.keys(reservations).length;
+};
+
+// Check whether another call can be given an AI session
+export const hasCapacity = () => {
+    return !MAX_CONCURRENT_CALLS || getUsedSlots() < MAX_CONCURRENT_CALLS;
+};
+
+// Hold a slot for an accepted call until its media stream connects
+// Returns false (and counts nothing) when there is no key to hold the slot under
+export const reserveSession = (key, ttlMs = SESSION_RESERVATION_TTL_MS) => {
+    if (!key) return false;
+    reservations[key] = Date.now() + ttlMs;
+    stats.accepted_total++;
+    return true;
+};
+
+// Move a held slot to a new key (an outbound call's placeholder once Twilio returns the CallSid)
+export const renameReservation = (key, newKey) => {
+    if (!reservations[key] || !newKey) return;
+    reservations[newKey] = reservations[key];
+    delete reservations[key];
+};
+
+// Give back a slot whose stream will never connect (call not placed, not answered, or the client left)
+export const releaseReservation = (key) => {
+    if (key) delete reservations[key];
+};
+
+// Start counting a media stream session (consumes the call's reservation)
+// `reservation` is the key the slot was held under, when it is not the CallSid
+// Returns an id for releaseSession
+export const acquireSession = (callSid, reservation = callSid) => {
+    releaseReservation(reservation);
+
+    const sessionId = nextSessionId++;
+    activeSessions[sessionId] = { callSid: callSid || null, startedAt: new Date().toISOString() };
+
+    const active = Object.keys(activeSessions).length;
+    stats.peak_active = Math.max(stats.peak_active, active);
+    console.log(`[Sessions] Session started (${active}/${MAX_CONCURRENT_CALLS || '∞'} active)`);
+    return sessionId;
+};
+
+// Stop counting a media stream session
+export const releaseSession = (sessionId) => {
+    if (sessionId && activeSessions[sessionId]) {
+        delete activeSessions[sessionId];
+        console.log(`[Sessions] Session ended (${Object.keys(activeSessions).length}/${MAX_CONCURRENT_CALLS || '∞'} active)`);
+    }
+};
+
+// Count a call turned away because the cap was reached
+// `action` is the overflow handling used: hold, voicemail or forward (busy for outbound and PCM / browser sessions)
+export const recordRejectedCall = (action) => {
+    stats.rejected_total++;
+    stats.rejected_by_action[action] = (stats.rejected_by_action[action] || 0) + 1;
+    stats.last_rejected_at = new Date().toISOString();
+};
+
+// Current concurrency and overflow counters for monitoring
+export const getSessionStats = () => {
+    pruneReservations();
+    return {
+        max_concurrent: MAX_CONCURRENT_CALLS || null,
+        active: Object.keys(activeSessions).length,
+        reserved: Object.keys(reservations).length,
+        available: MAX_CONCURRENT_CALLS ? Math.max(0, MAX_CONCURRENT_CALLS - getUsedSlots()) : null,
+        ...stats,
+        rejected_by_action: { ...stats.rejected_by_action }
+    };
+};
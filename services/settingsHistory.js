@@ -0,0 +1,61 @@
+// Version history for settings files edited through /admin/settings
+// Every saved version is kept as <HISTORY_PREFIX><file path>/<version>.json next to the live file
+// (bucket, or working directory without GCS). Version IDs are save timestamps, so they sort by age.
+
+import path from 'path';
+import { SETTINGS_RELOAD_SETTINGS } from '../config/index.js';
+import { loadFromStorage, saveSettingsFile, listStorageFiles } from './storage.js';
+
+const VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+const getHistoryPrefix = (file) => `${SETTINGS_RELOAD_SETTINGS.HISTORY_PREFIX}${file}/`;
+
+// 2026-10-19T10:50:00.123Z -> 2026-10-19T10-50-00-123Z (safe in object names)
+const createVersionId = (date = new Date()) => date.toISOString().replace(/[:.]/g, '-');
+
+// 2026-10-19T10-50-00-123Z -> 2026-10-19T10:50:00.123Z
+const versionToTimestamp = (version) => version.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+
+export const isValidVersionId = (version) => VERSION_PATTERN.test(String(version || ''));
+
+// Saved versions of a file, newest first: [{ version, saved_at }]
+export const listSettingsVersions = async (file) => {
+    const prefix = getHistoryPrefix(file);
+    const names = await listStorageFiles(prefix);
+    return names
+        .map(name => path.basename(name, '.json'))
+        .filter(isValidVersionId)
+        .sort()
+        .reverse()
+        .slice(0, SETTINGS_RELOAD_SETTINGS.MAX_VERSIONS_LISTED)
+        .map(version => ({ version: version, saved_at: versionToTimestamp(version) }));
+};
+
+// Content of one saved version, or null
+export const loadSettingsVersion = async (file, version) => {
+    if (!isValidVersionId(version)) return null;
+    const historyFile = `${getHistoryPrefix(file)}${version}.json`;
+    const result = await loadFromStorage(historyFile, path.join(process.cwd(), historyFile));
+    return result.success ? result.content : null;
+};
+
+// Save new content as the live file and as a new version
+// The first edit also keeps the file as it was before, so it can be rolled back to
+export const saveSettingsVersion = async (file, content) => {
+    const prefix = getHistoryPrefix(file);
+    const existing = await listStorageFiles(prefix);
+    if (existing.length === 0) {
+        const current = await loadFromStorage(file, path.join(process.cwd(), file));
+        if (current.success) {
+            const baseline = createVersionId(new Date(Date.now() - 1));
+            await saveSettingsFile(`${prefix}${baseline}.json`, current.content);
+            console.log(`[Settings] ✓ Kept previous ${file} as version ${baseline}`);
+        }
+    }
+
+    const version = createVersionId();
+    await saveSettingsFile(`${prefix}${version}.json`, content);
+    const result = await saveSettingsFile(file, content);
+    console.log(`[Settings] ✓ Saved ${file} version ${version} (${result.location})`);
+    return { version: version, location: result.location };
+};
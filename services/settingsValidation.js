@@ -0,0 +1,53 @@
+// Settings file validation, shared by admin edits and the settings reload (files edited directly in the bucket)
+
+import { validateExperiment } from './experiments.js';
+import { validateLanguages } from './languages.js';
+import { validateTurnDetection } from '../handlers/openaiSession.js';
+
+// Agent settings fields and their types (other keys are kept as they are)
+const AGENT_TEXT_FIELDS = ['voice', 'initial_greeting', 'connect_greeting', 'connect_voice', 'fallback_voicemail_message', 'version', 'created_at'];
+const AGENT_OBJECT_FIELDS = ['transfer', 'outbound', 'recording', 'overflow', 'pricing'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check an agent settings file (ai-setting/u247-agent.json); returns an error message, or null when valid
+export const validateAgentSettings = (settings) => {
+    if (!isPlainObject(settings)) return 'agent settings must be a JSON object';
+
+    for (const key of AGENT_TEXT_FIELDS) {
+        if (settings[key] !== undefined && settings[key] !== null && typeof settings[key] !== 'string') return `${key} must be a string`;
+    }
+    if (settings.voice !== undefined && !String(settings.voice || '').trim()) return 'voice must not be empty';
+    if (settings.temperature !== undefined && !(typeof settings.temperature === 'number' && settings.temperature >= 0 && settings.temperature <= 2)) {
+        return 'temperature must be a number from 0 to 2';
+    }
+    if (settings.use_realtime_transcription !== undefined && typeof settings.use_realtime_transcription !== 'boolean') {
+        return 'use_realtime_transcription must be true or false';
+    }
+    for (const key of AGENT_OBJECT_FIELDS) {
+        if (settings[key] !== undefined && !isPlainObject(settings[key])) return `${key} must be an object`;
+    }
+    if (settings.turn_detection !== undefined) {
+        const error = validateTurnDetection(settings.turn_detection);
+        if (error) return error;
+    }
+    if (settings.webhook_tools !== undefined) {
+        if (!Array.isArray(settings.webhook_tools)) return 'webhook_tools must be an array';
+        const invalid = settings.webhook_tools.find(tool => !isPlainObject(tool) || !tool.name || !tool.webhook?.url);
+        if (invalid) return `webhook_tools: "${invalid?.name || '(unnamed)'}" needs a name and webhook.url`;
+    }
+    if (settings.experiment !== undefined && settings.experiment !== null) {
+        const error = validateExperiment(settings.experiment);
+        if (error) return error;
+    }
+    const languagesError = validateLanguages(settings.languages, settings.default_language);
+    if (languagesError) return languagesError;
+    return null;
+};
+
+// Check a system message file (ai-setting/u247-system-message.json)
+export const validateSystemMessage = (content) => {
+    if (!isPlainObject(content)) return 'system message file must be a JSON object';
+    if (typeof content.system_message !== 'string' || !content.system_message.trim()) return 'system_message must be a non-empty string';
+    return null;
+};
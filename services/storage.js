@@ -1,7 +1,8 @@
 import { Storage } from '@google-cloud/storage';
 import fs from 'fs';
 import path from 'path';
-import { GCS_BUCKET, CALL_HISTORY_DIR, DEFAULT_SYSTEM_MESSAGE } from '../config/index.js';
+import { GCS_BUCKET, GCS_RESTRICTED_BUCKET, RESTRICTED_TRANSCRIPTS_DIR, CALL_HISTORY_DIR, DEFAULT_SYSTEM_MESSAGE, DEFAULT_AGENT_SETTINGS, REDACTION_SETTINGS } from '../config/index.js';
+import { getRedactionPolicy } from './redaction.js';
 
 let storage = null;
 
@@ -16,6 +17,20 @@ export const initializeStorage = () => {
     } else {
         console.log('GCS_BUCKET not set — transcripts will be saved to local call-history folder');
     }
+
+    // PII redaction: where the full transcript goes and what the other copies keep
+    if (GCS_RESTRICTED_BUCKET) {
+        storage = storage || new Storage();
+        console.log(`Full transcripts go to restricted bucket: ${GCS_RESTRICTED_BUCKET}`);
+    }
+    if (REDACTION_SETTINGS.ENABLED) {
+        console.log(`PII redaction (${REDACTION_SETTINGS.DETECTORS.join(', ')}): transcripts ${getRedactionPolicy('transcripts')}, backups ${getRedactionPolicy('backups')}, email ${getRedactionPolicy('email')}`);
+        if (!GCS_RESTRICTED_BUCKET && getRedactionPolicy('transcripts') !== 'full') {
+            console.log(`⚠️  GCS_RESTRICTED_BUCKET not set — full transcripts are kept locally in ${RESTRICTED_TRANSCRIPTS_DIR}`);
+        }
+    } else {
+        console.log('⚠️  PII redaction disabled (REDACTION_ENABLED=false) — transcripts and emails contain raw caller details');
+    }
     return storage;
 };
 
@@ -69,6 +84,76 @@ export const saveTranscriptToStorage = async (filename, payload) => {
     }
 };
 
+// Save the full (unredacted) transcript to the restricted bucket
+// Without GCS_RESTRICTED_BUCKET (or when the upload fails) it goes to RESTRICTED_TRANSCRIPTS_DIR, so the full record is never dropped
+// (skipped when the main transcript copy is not redacted - it is the full record)
+export const saveRestrictedTranscript = async (filename, payload) => {
+    if (storage && GCS_RESTRICTED_BUCKET) {
+        try {
+            await storage.bucket(GCS_RESTRICTED_BUCKET).file(filename).save(payload, { contentType: 'application/json' });
+            console.log(`[saveTranscript] ✓ Full transcript uploaded to gs://${GCS_RESTRICTED_BUCKET}/${filename}`);
+            return { success: true, location: `gs://${GCS_RESTRICTED_BUCKET}/${filename}` };
+        } catch (err) {
+            console.error(`[saveTranscript] ✗ Failed to upload full transcript to restricted bucket: ${err.message}`);
+        }
+    }
+
+    if (!REDACTION_SETTINGS.ENABLED || getRedactionPolicy('transcripts') === 'full') {
+        return { success: false, skipped: true };
+    }
+    try {
+        fs.mkdirSync(RESTRICTED_TRANSCRIPTS_DIR, { recursive: true, mode: 0o700 });
+        const filepath = path.join(RESTRICTED_TRANSCRIPTS_DIR, filename);
+        fs.writeFileSync(filepath, payload, { mode: 0o600 });
+        console.log(`[saveTranscript] ✓ Full transcript saved to restricted directory: ${filepath}`);
+        return { success: true, location: filepath };
+    } catch (err) {
+        console.error(`[saveTranscript] ✗ Failed to save full transcript locally: ${err.message}`);
+        return { success: false, error: err.message };
+    }
+};
+
+// Load a full transcript from the restricted bucket, then the restricted directory (null when missing)
+export const loadRestrictedTranscript = async (filename) => {
+    if (storage && GCS_RESTRICTED_BUCKET) {
+        try {
+            const [content] = await storage.bucket(GCS_RESTRICTED_BUCKET).file(filename).download();
+            return content.toString('utf-8');
+        } catch (err) {
+            console.log(`[Storage] Restricted bucket lookup failed for ${filename}: ${err.message}`);
+        }
+    }
+
+    const filepath = path.join(RESTRICTED_TRANSCRIPTS_DIR, filename);
+    return fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf-8') : null;
+};
+
+// Save call recording audio to GCS or local file (same place as transcripts)
+export const saveRecordingToStorage = async (filename, audio, contentType = 'audio/mpeg') => {
+    // Try GCS first
+    if (storage && GCS_BUCKET) {
+        try {
+            const file = storage.bucket(GCS_BUCKET).file(filename);
+            await file.save(audio, { contentType });
+            console.log(`[saveRecording] ✓ Recording uploaded to gs://${GCS_BUCKET}/${filename}`);
+            return { success: true, location: `gs://${GCS_BUCKET}/${filename}` };
+        } catch (err) {
+            console.error(`[saveRecording] ✗ Failed to upload to GCS: ${err.message}`);
+        }
+    }
+
+    // Fallback to local file
+    try {
+        const filepath = path.join(CALL_HISTORY_DIR, filename);
+        fs.writeFileSync(filepath, audio);
+        console.log(`[saveRecording] ✓ Recording saved locally: ${filepath}`);
+        return { success: true, location: filepath };
+    } catch (err) {
+        console.error(`[saveRecording] ✗ Failed to save locally: ${err.message}`);
+        return { success: false, error: err.message };
+    }
+};
+
 // Save backup transcript
 export const saveBackupTranscript = async (filename, payload) => {
     // Save locally
@@ -117,106 +202,167 @@ export const loadFromStorage = async (filename, localFallbackPath = null) => {
     return { success: false, content: null, source: null };
 };
 
-// Load agent settings from GCS bucket
-export const loadAgentSettings = async () => {
+// Write a settings file to GCS, or to the working directory when GCS is not configured
+export const saveSettingsFile = async (filename, content) => {
+    if (storage && GCS_BUCKET) {
+        await storage.bucket(GCS_BUCKET).file(filename).save(content, { contentType: 'application/json' });
+        return { success: true, location: `gs://${GCS_BUCKET}/${filename}` };
+    }
+
+    const filepath = path.join(process.cwd(), filename);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return { success: true, location: filepath };
+};
+
+// List file names under a prefix (GCS, or the working directory when GCS is not configured)
+export const listStorageFiles = async (prefix) => {
+    if (storage && GCS_BUCKET) {
+        const [files] = await storage.bucket(GCS_BUCKET).getFiles({ prefix: prefix });
+        return files.map(file => file.name);
+    }
+
+    const dir = path.join(process.cwd(), prefix);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).map(name => `${prefix}${name}`);
+};
+
+// Current version of a file for change detection: GCS generation, else local modified time; null when missing
+export const getFileVersion = async (filename, localFallbackPath = null) => {
+    if (storage && GCS_BUCKET) {
+        try {
+            const [metadata] = await storage.bucket(GCS_BUCKET).file(filename).getMetadata();
+            return `gcs:${metadata.generation}`;
+        } catch (err) {
+            if (err.code !== 404) console.log(`[Storage] GCS metadata lookup failed for ${filename}: ${err.message}`);
+        }
+    }
+
+    if (localFallbackPath && fs.existsSync(localFallbackPath)) {
+        return `local:${fs.statSync(localFallbackPath).mtimeMs}`;
+    }
+    return null;
+};
+
+// Load saved call transcripts (GCS or local call-history/) modified since `since`, for reports
+// Only call-from-* files: test calls, voicemails and call status stubs are left out
+export const loadTranscripts = async ({ since = null, prefix = 'call-from-' } = {}) => {
+    const parse = (name, content) => {
+        try {
+            return JSON.parse(content);
+        } catch (err) {
+            console.error(`[Storage] ✗ Skipping unreadable transcript ${name}: ${err.message}`);
+            return null;
+        }
+    };
+
+    if (storage && GCS_BUCKET) {
+        try {
+            const [files] = await storage.bucket(GCS_BUCKET).getFiles({ prefix: prefix });
+            const recent = files.filter(file => file.name.endsWith('.json') && (!since || new Date(file.metadata.updated) >= since));
+            const transcripts = await Promise.all(recent.map(async (file) => {
+                const [content] = await file.download();
+                return parse(file.name, content.toString('utf-8'));
+            }));
+            return transcripts.filter(Boolean);
+        } catch (err) {
+            console.error(`[Storage] ✗ GCS transcript listing failed, using local files: ${err.message}`);
+        }
+    }
+
+    return fs.readdirSync(CALL_HISTORY_DIR)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+        .map(name => path.join(CALL_HISTORY_DIR, name))
+        .filter(filepath => !since || fs.statSync(filepath).mtime >= since)
+        .map(filepath => parse(path.basename(filepath), fs.readFileSync(filepath, 'utf-8')))
+        .filter(Boolean);
+};
+
+// Merge agent settings file contents over the defaults
+const buildAgentSettings = (settings, systemMsg) => {
+    return {
+        system_message: systemMsg,
+        voice: settings.voice || DEFAULT_AGENT_SETTINGS.voice,
+        temperature: settings.temperature !== undefined ? settings.temperature : DEFAULT_AGENT_SETTINGS.temperature,
+        use_realtime_transcription: settings.use_realtime_transcription || DEFAULT_AGENT_SETTINGS.use_realtime_transcription,
+        initial_greeting: settings.initial_greeting || DEFAULT_AGENT_SETTINGS.initial_greeting,
+        connect_greeting: settings.connect_greeting !== undefined ? settings.connect_greeting : DEFAULT_AGENT_SETTINGS.connect_greeting,
+        connect_voice: settings.connect_voice || DEFAULT_AGENT_SETTINGS.connect_voice,
+        fallback_voicemail_message: settings.fallback_voicemail_message || DEFAULT_AGENT_SETTINGS.fallback_voicemail_message,
+        transfer: { ...DEFAULT_AGENT_SETTINGS.transfer, ...(settings.transfer || {}) },
+        outbound: { ...DEFAULT_AGENT_SETTINGS.outbound, ...(settings.outbound || {}) },
+        recording: { ...DEFAULT_AGENT_SETTINGS.recording, ...(settings.recording || {}) },
+        overflow: { ...DEFAULT_AGENT_SETTINGS.overflow, ...(settings.overflow || {}) },
+        turn_detection: { ...DEFAULT_AGENT_SETTINGS.turn_detection, ...(settings.turn_detection || {}) },
+        webhook_tools: Array.isArray(settings.webhook_tools) ? settings.webhook_tools : [],
+        experiment: settings.experiment || null,
+        default_language: settings.default_language || DEFAULT_AGENT_SETTINGS.default_language,
+        languages: settings.languages && typeof settings.languages === 'object' && !Array.isArray(settings.languages) ? settings.languages : DEFAULT_AGENT_SETTINGS.languages
+    };
+};
+
+// Load agent settings from GCS bucket (or local ai-setting/ files)
+// Paths are relative to the bucket root and the working directory, so each tenant can point at its own files
+// Missing files use the defaults. A file that fails to parse or to pass `validate` ({ agent, systemMessage }, each
+// returning an error message or null) throws, unless useDefaults is set (a tenant's first load) - then the defaults stand in
+export const loadAgentSettings = async (settingsPath = 'ai-setting/u247-agent.json', systemMessagePath = 'ai-setting/u247-system-message.json', { validate = {}, useDefaults = false } = {}) => {
+    // Parse and validate a settings file's content; throws on a problem
+    const parseSettingsFile = (content, validator) => {
+        const parsed = JSON.parse(content);
+        const error = validator ? validator(parsed) : null;
+        if (error) throw new Error(error);
+        return parsed;
+    };
+
     // Helper function to load system message from file
     const loadSystemMessage = async () => {
         try {
-            // Try GCS first
-            if (storage && GCS_BUCKET) {
-                try {
-                    const sysMsgFile = storage.bucket(GCS_BUCKET).file('ai-setting/u247-system-message.json');
-                    const [exists] = await sysMsgFile.exists();
-                    if (exists) {
-                        const [content] = await sysMsgFile.download();
-                        const sysMsg = JSON.parse(content.toString('utf-8'));
-                        console.log('✓ Loaded system message from GCS: gs://' + GCS_BUCKET + '/ai-setting/u247-system-message.json');
-                        return sysMsg.system_message || DEFAULT_SYSTEM_MESSAGE;
-                    }
-                } catch (err) {
-                    console.log('[loadSystemMessage] GCS lookup failed, trying local file. Error:', err.message);
-                }
-            }
-
-            // Fallback to local file
-            const localPath = path.join(process.cwd(), 'ai-setting', 'u247-system-message.json');
-            if (fs.existsSync(localPath)) {
-                const content = fs.readFileSync(localPath, 'utf-8');
-                const sysMsg = JSON.parse(content);
-                console.log('✓ Loaded system message from local file:', localPath);
+            const result = await loadFromStorage(systemMessagePath, path.join(process.cwd(), systemMessagePath));
+            if (result.success) {
+                const sysMsg = parseSettingsFile(result.content, validate.systemMessage);
+                console.log(`✓ Loaded system message from ${result.source}: ${systemMessagePath}`);
                 return sysMsg.system_message || DEFAULT_SYSTEM_MESSAGE;
             }
 
             console.log('⚠️  System message file not found (GCS or local), using embedded default');
             return DEFAULT_SYSTEM_MESSAGE;
         } catch (err) {
-            console.error('✗ Error loading system message:', err.message);
+            if (!useDefaults) throw new Error(`${systemMessagePath}: ${err.message}`);
+            console.error('✗ Error loading system message, using embedded default:', err.message);
             return DEFAULT_SYSTEM_MESSAGE;
         }
     };
 
-    // If GCS is not configured, return default settings
     if (!GCS_BUCKET || !storage) {
         console.log('ℹ️  GCS not configured. Loading settings from local files.');
-        const systemMsg = await loadSystemMessage();
-        return {
-            system_message: systemMsg,
-            voice: 'sage',
-            temperature: 0.2,
-            use_realtime_transcription: false,
-            initial_greeting: 'Greet the user with : This is Lucy from Update 2 4 7. How are you today?'
-        };
     }
 
+    let settings = {};
     try {
-        // Load settings from GCS bucket
-        const settingsFile = storage.bucket(GCS_BUCKET).file('ai-setting/u247-agent.json');
-        const [exists] = await settingsFile.exists();
-        
-        if (!exists) {
-            console.log('⚠️  Settings file not found in GCS (gs://' + GCS_BUCKET + '/ai-setting/u247-agent.json). Using default settings.');
-            const systemMsg = await loadSystemMessage();
-            return {
-                system_message: systemMsg,
-                voice: 'sage',
-                temperature: 0.2,
-                use_realtime_transcription: false,
-                initial_greeting: 'Greet the user with : This is Lucy from Update 2 4 7. How are you today?'
-            };
-        }
+        const result = await loadFromStorage(settingsPath, path.join(process.cwd(), settingsPath));
 
-        const [fileContent] = await settingsFile.download();
-        const settings = JSON.parse(fileContent.toString('utf-8'));
-        
-        console.log('✓ Loaded agent settings from GCS: gs://' + GCS_BUCKET + '/ai-setting/u247-agent.json');
-        console.log('  - voice:', settings.voice);
-        console.log('  - temperature:', settings.temperature);
-        
-        // Load system message from separate file
-        const systemMsg = await loadSystemMessage();
-        
-        const finalSettings = {
-            system_message: systemMsg,
-            voice: settings.voice || 'sage',
-            temperature: settings.temperature !== undefined ? settings.temperature : 0.2,
-            use_realtime_transcription: settings.use_realtime_transcription || false,
-            initial_greeting: settings.initial_greeting || 'Greet the user with : This is Lucy from Update 2 4 7. How are you today?'
-        };
-        
-        console.log('✓ Final settings to use - system_message length:', finalSettings.system_message.length);
-        return finalSettings;
+        if (result.success) {
+            settings = parseSettingsFile(result.content, validate.agent);
+            console.log(`✓ Loaded agent settings from ${result.source}: ${settingsPath}`);
+            console.log('  - voice:', settings.voice);
+            console.log('  - temperature:', settings.temperature);
+        } else {
+            console.log(`⚠️  Settings file not found (${settingsPath}). Using default settings.`);
+        }
     } catch (error) {
-        console.error('✗ Error loading agent settings from GCS:', error.message);
-        console.log('  Falling back to default system message.');
-        const systemMsg = await loadSystemMessage();
-        return {
-            system_message: systemMsg,
-            voice: 'sage',
-            temperature: 0.2,
-            use_realtime_transcription: false,
-            initial_greeting: 'Greet the user with : This is Lucy from Update 2 4 7. How are you today?'
-        };
+        if (!useDefaults) throw new Error(`${settingsPath}: ${error.message}`);
+        console.error('✗ Error loading agent settings:', error.message);
+        console.log('  Falling back to default settings.');
+        settings = {};
     }
+
+    // Load system message from separate file
+    const systemMsg = await loadSystemMessage();
+
+    const finalSettings = buildAgentSettings(settings, systemMsg);
+
+    console.log('✓ Final settings to use - system_message length:', finalSettings.system_message.length);
+    return finalSettings;
 };
 
-export { storage, GCS_BUCKET };
+export { storage, GCS_BUCKET, GCS_RESTRICTED_BUCKET };
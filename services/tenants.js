@@ -0,0 +1,186 @@
+import path from 'path';
+import { SETTINGS_RELOAD_SETTINGS } from '../config/index.js';
+import { loadFromStorage, loadAgentSettings, getFileVersion } from './storage.js';
+import { validateAgentSettings, validateSystemMessage } from './settingsValidation.js';
+import { loadSchedule } from './schedule.js';
+import { loadFlow } from './flow.js';
+import { loadExperiment } from './experiments.js';
+
+const TENANTS_FILE = 'ai-setting/tenants.json';
+
+// Registry used when ai-setting/tenants.json does not exist: one tenant answering every number
+const DEFAULT_REGISTRY = {
+    default_tenant: 'update247',
+    tenants: [
+        { id: 'update247', name: 'Update247', numbers: [] }
+    ]
+};
+
+let tenants = [];
+let defaultTenant = null;
+
+// Settings files the loaded tenants came from, checked for changes by the reload timer
+let watchedFiles = [];
+let watchedVersions = null;
+let reloading = null;
+let reloadTimer = null;
+
+// Normalize a phone number to digits only for comparison
+const normalizeNumber = (number) => String(number || '').replace(/\D/g, '');
+
+// Load a single tenant's settings files and merge its overrides
+// A broken agent or system message file throws, unless useDefaults is set (then the defaults stand in)
+const loadTenant = async (entry, useDefaults) => {
+    console.log(`\n[Tenants] Loading tenant "${entry.id}"...`);
+
+    const files = {
+        agent: entry.agent_settings_file || 'ai-setting/u247-agent.json',
+        system_message: entry.system_message_file || 'ai-setting/u247-system-message.json',
+        schedule: entry.schedule_file || 'ai-setting/u247-schedule.json',
+        flow: entry.flow_file || 'ai-setting/u247-flow.json'
+    };
+    const agentSettings = await loadAgentSettings(files.agent, files.system_message, {
+        validate: { agent: validateAgentSettings, systemMessage: validateSystemMessage },
+        useDefaults: useDefaults
+    });
+    const schedule = await loadSchedule(files.schedule);
+    const flow = await loadFlow(files.flow);
+    // A tenant override replaces the agent file's experiment as a whole
+    const experiment = await loadExperiment(entry.overrides?.experiment !== undefined ? entry.overrides.experiment : agentSettings.experiment);
+
+    return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        numbers: (entry.numbers || []).map(normalizeNumber).filter(Boolean),
+        files: files,
+        settings: {
+            ...agentSettings,
+            ...(entry.overrides || {}),
+            // Partial overrides keep the agent file's other turn detection values
+            turn_detection: { ...agentSettings.turn_detection, ...(entry.overrides?.turn_detection || {}) },
+            schedule: schedule,
+            flow: flow,
+            experiment: experiment,
+            tools: Array.isArray(entry.tools) ? entry.tools : null,
+            phone_mappings_file: entry.phone_mappings_file || 'phone-mappings.json',
+            notify_emails: Array.isArray(entry.notify_emails) ? entry.notify_emails : []
+        }
+    };
+};
+
+// Load a tenant, or keep its current settings when a reload finds a broken file
+// Defaults replace broken files only on the tenant's first load (startup, or a tenant new to the registry)
+const loadOrKeepTenant = async (entry) => {
+    const current = tenants.find(t => t.id === entry.id);
+    try {
+        return await loadTenant(entry, !current);
+    } catch (err) {
+        console.error(`✗ Error loading tenant "${entry.id}", keeping its current settings:`, err.message);
+        return current;
+    }
+};
+
+// Versions of the watched files, e.g. { "ai-setting/u247-agent.json": "gcs:1718..." }
+const getWatchedVersions = async (files) => {
+    const versions = {};
+    for (const file of files) {
+        versions[file] = await getFileVersion(file, path.join(process.cwd(), file));
+    }
+    return versions;
+};
+
+// Load the tenant registry (ai-setting/tenants.json) and every tenant's settings
+// The new tenants replace the old ones in one step: calls already running keep the settings they started with
+export const loadTenants = async () => {
+    let registry = DEFAULT_REGISTRY;
+
+    try {
+        const result = await loadFromStorage(TENANTS_FILE, path.join(process.cwd(), TENANTS_FILE));
+        if (result.success) {
+            registry = JSON.parse(result.content);
+            console.log(`✓ Loaded tenant registry from ${result.source}: ${registry.tenants?.length || 0} tenant(s)`);
+        } else {
+            console.log('ℹ️  No tenant registry found - using a single default tenant for all numbers');
+        }
+    } catch (err) {
+        // On a reload, a broken registry must not replace working tenants
+        if (tenants.length > 0) {
+            console.error('✗ Error loading tenant registry, keeping the current tenants:', err.message);
+            return tenants;
+        }
+        console.error('✗ Error loading tenant registry, using a single default tenant:', err.message);
+        registry = DEFAULT_REGISTRY;
+    }
+
+    const loaded = [];
+    for (const entry of registry.tenants || []) {
+        if (!entry || !entry.id) continue;
+        loaded.push(await loadOrKeepTenant(entry));
+    }
+    if (loaded.length === 0) {
+        loaded.push(await loadOrKeepTenant(DEFAULT_REGISTRY.tenants[0]));
+    }
+
+    const files = [TENANTS_FILE, ...new Set(loaded.flatMap(tenant => Object.values(tenant.files)))];
+    const versions = await getWatchedVersions(files);
+
+    tenants = loaded;
+    defaultTenant = tenants.find(t => t.id === registry.default_tenant) || tenants[0];
+    watchedFiles = files;
+    watchedVersions = versions;
+    console.log(`✓ Default tenant: ${defaultTenant.id}`);
+    return tenants;
+};
+
+// Reload every tenant now (admin edits, changed files); concurrent calls share one reload
+export const reloadTenants = async (reason) => {
+    if (reloading) return reloading;
+    console.log(`\n[Tenants] Reloading settings (${reason})...`);
+    reloading = loadTenants()
+        .catch((err) => {
+            console.error('[Tenants] ✗ Reload failed, keeping the current settings:', err.message);
+            return tenants;
+        })
+        .finally(() => {
+            reloading = null;
+        });
+    return reloading;
+};
+
+// Reload when any watched settings file has changed since the last load
+export const checkForSettingsChanges = async () => {
+    if (reloading || !watchedVersions) return false;
+    const versions = await getWatchedVersions(watchedFiles);
+    const changed = watchedFiles.filter(file => versions[file] !== watchedVersions[file]);
+    if (changed.length === 0) return false;
+
+    await reloadTenants(`changed: ${changed.join(', ')}`);
+    return true;
+};
+
+// Check the settings files every CHECK_INTERVAL_MS so new calls pick up edits without a restart
+export const startSettingsReload = () => {
+    const interval = SETTINGS_RELOAD_SETTINGS.CHECK_INTERVAL_MS;
+    if (!interval || reloadTimer) return;
+    reloadTimer = setInterval(() => {
+        checkForSettingsChanges().catch(err => console.error('[Tenants] ✗ Settings change check failed:', err.message));
+    }, interval);
+    reloadTimer.unref();
+    console.log(`✓ Settings reload: checking ${watchedFiles.length} file(s) every ${Math.round(interval / 1000)}s`);
+};
+
+// Get all loaded tenants
+export const getTenants = () => tenants;
+
+// Get the fallback tenant for numbers not in the registry
+export const getDefaultTenant = () => defaultTenant;
+
+// Resolve the tenant for a dialed (To) number
+export const resolveTenant = (toNumber) => {
+    const normalized = normalizeNumber(toNumber);
+    if (normalized) {
+        const match = tenants.find(t => t.numbers.includes(normalized));
+        if (match) return match;
+    }
+    return defaultTenant;
+};
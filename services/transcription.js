@@ -1,20 +1,24 @@
 import FormData from 'form-data';
-import { OPENAI_API_KEY } from '../config/index.js';
+import { OPENAI_API_KEY, OPENAI_BASE_URL } from '../config/index.js';
 
 // Transcribe caller audio using OpenAI Whisper API
-export const transcribeAudio = async (audioChunks) => {
+// audioFormat: the media transport's audio format - µ-law 8 kHz (Twilio) or 16-bit PCM
+// language: ISO-639-1 code of the call's current language (see services/languages.js)
+export const transcribeAudio = async (audioChunks, audioFormat = { type: 'audio/pcmu' }, language = 'en') => {
     if (!audioChunks || audioChunks.length === 0) {
         console.log('[Whisper] No audio chunks to transcribe');
         return null;
     }
     
     try {
-        console.log('[Whisper] Transcribing', audioChunks.length, 'audio chunks');
+        console.log('[Whisper] Transcribing', audioChunks.length, 'audio chunks', `(${language || 'en'})`);
         
-        // Combine all base64 chunks into PCMU buffer
-        const pcmuBuffer = Buffer.concat(
+        // Combine all base64 chunks into one buffer
+        const audioBuffer = Buffer.concat(
             audioChunks.map(b64 => Buffer.from(b64, 'base64'))
         );
+        const isPcm16 = audioFormat.type === 'audio/pcm';
+        const sampleRate = isPcm16 ? (audioFormat.rate || 24000) : 8000;
         
         // Decode µ-law (PCMU) to 16-bit PCM and wrap in a standard WAV file
         const muLawDecode = (uVal) => {
@@ -24,10 +28,13 @@ export const transcribeAudio = async (audioChunks) => {
             return (uVal & 0x80) ? (0x84 - t) : (t - 0x84);
         };
 
-        const pcm16Buffer = Buffer.alloc(pcmuBuffer.length * 2);
-        for (let i = 0; i < pcmuBuffer.length; i += 1) {
-            const sample = muLawDecode(pcmuBuffer[i]);
-            pcm16Buffer.writeInt16LE(sample, i * 2);
+        let pcm16Buffer = audioBuffer;
+        if (!isPcm16) {
+            pcm16Buffer = Buffer.alloc(audioBuffer.length * 2);
+            for (let i = 0; i < audioBuffer.length; i += 1) {
+                const sample = muLawDecode(audioBuffer[i]);
+                pcm16Buffer.writeInt16LE(sample, i * 2);
+            }
         }
 
         const createPcmWavHeader = (dataLength, sampleRate = 8000, numChannels = 1, bitsPerSample = 16) => {
@@ -52,32 +59,25 @@ export const transcribeAudio = async (audioChunks) => {
             return header;
         };
 
-        const wavHeader = createPcmWavHeader(pcm16Buffer.length);
+        const wavHeader = createPcmWavHeader(pcm16Buffer.length, sampleRate);
         const wavBuffer = Buffer.concat([wavHeader, pcm16Buffer]);
         
         // Create form data for Whisper API
         const form = new FormData();
         form.append('model', 'whisper-1');
         form.append('file', wavBuffer, { filename: 'audio.wav', contentType: 'audio/wav' });
-        form.append('language', 'en');
+        form.append('language', language || 'en');
         
         // Call OpenAI Whisper API
-        const whisperUrl = 'https://api.openai.com/v1/audio/transcriptions';
-        const contentLength = await new Promise((resolve, reject) => {
-            form.getLength((err, length) => {
-                if (err) return reject(err);
-                resolve(length);
-            });
-        });
-
+        // Send the encoded form as one buffer: native fetch cannot stream a form-data object
+        const whisperUrl = `${OPENAI_BASE_URL}/audio/transcriptions`;
         const response = await fetch(whisperUrl, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                ...form.getHeaders(),
-                'Content-Length': String(contentLength)
+                ...form.getHeaders()
             },
-            body: form
+            body: form.getBuffer()
         });
         
         if (!response.ok) {
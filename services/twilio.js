@@ -1,5 +1,7 @@
 import twilio from 'twilio';
-import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } from '../config/index.js';
+import crypto from 'crypto';
+import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, STREAM_TOKEN_SECRET, STREAM_TOKEN_TTL_SECONDS, DISABLE_TWILIO_VALIDATION } from '../config/index.js';
+import { escapeXml, getPublicBaseUrl } from '../utils/helpers.js';
 
 let twilioClient = null;
 
@@ -34,17 +36,141 @@ export const endCall = async (callSid) => {
     }
 };
 
+// Replace the TwiML of a live call (ends any active <Connect><Stream>)
+export const redirectCall = async (callSid, twiml) => {
+    if (!twilioClient || !callSid) {
+        console.log('[Twilio] Cannot redirect call: No client or callSid available');
+        return { success: false, error: 'No Twilio client or callSid' };
+    }
+
+    try {
+        await twilioClient.calls(callSid).update({ twiml });
+        console.log('[Twilio] ✓ Call redirected to new TwiML');
+        return { success: true };
+    } catch (err) {
+        console.error('[Twilio] ✗ Failed to redirect call:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+// Build TwiML that dials a human (phone number or SIP URI), with an optional message first
+export const buildDialTwiml = (target, options = {}) => {
+    const endpoint = /^sip:/i.test(target)
+        ? `<Sip>${escapeXml(target)}</Sip>`
+        : `<Number>${escapeXml(target)}</Number>`;
+    const callerIdAttr = options.callerId ? ` callerId="${escapeXml(options.callerId)}"` : '';
+    const voiceAttr = options.voice ? ` voice="${escapeXml(options.voice)}"` : '';
+    const intro = options.message ? `<Say${voiceAttr}>${escapeXml(options.message)}</Say>` : '';
+    return `<Response>${intro}<Dial timeout="30"${callerIdAttr}>${endpoint}</Dial><Say${voiceAttr}>Sorry, nobody is available to take your call right now. We will call you back as soon as possible. Goodbye.</Say></Response>`;
+};
+
+// Redirect a live call to TwiML that dials a human (phone number or SIP URI)
+export const transferCall = async (callSid, target, options = {}) => {
+    if (!twilioClient || !callSid || !target) {
+        console.log('[Transfer] Cannot transfer: No client, callSid or target available');
+        return { success: false, error: 'No Twilio client, callSid or target' };
+    }
+
+    const twiml = buildDialTwiml(target, { callerId: options.callerId });
+
+    try {
+        await twilioClient.calls(callSid).update({ twiml });
+        console.log('[Transfer] ✓ Call redirected to:', target);
+        return { success: true };
+    } catch (err) {
+        console.error('[Transfer] ✗ Failed to redirect call:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+// Place an outbound call; Twilio fetches `url` for the call's TwiML once answered
+export const createOutboundCall = async ({ to, from, url, amdStatusCallback = null, statusCallback = null }) => {
+    if (!twilioClient) {
+        console.log('[Outbound] Cannot place call: No Twilio client available');
+        return { success: false, error: 'No Twilio client' };
+    }
+
+    try {
+        const options = { to, from, url, method: 'POST' };
+        if (amdStatusCallback) {
+            // Async answering machine detection: the AI starts talking straight away
+            options.machineDetection = 'DetectMessageEnd';
+            options.asyncAmd = 'true';
+            options.asyncAmdStatusCallback = amdStatusCallback;
+        }
+        if (statusCallback) {
+            // Final status (completed, busy, no-answer, failed, canceled)
+            options.statusCallback = statusCallback;
+            options.statusCallbackMethod = 'POST';
+        }
+
+        const call = await twilioClient.calls.create(options);
+        console.log('[Outbound] ✓ Call placed:', call.sid, 'to', to);
+        return { success: true, callSid: call.sid, status: call.status };
+    } catch (err) {
+        console.error('[Outbound] ✗ Failed to place call:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+// Point a live call's status callback at our /call-status route
+export const setCallStatusCallback = async (callSid, url) => {
+    if (!twilioClient || !callSid) {
+        console.log('[Call Status] Cannot set status callback: No client or callSid available');
+        return { success: false, error: 'No Twilio client or callSid' };
+    }
+
+    try {
+        await twilioClient.calls(callSid).update({ statusCallback: url, statusCallbackMethod: 'POST' });
+        console.log('[Call Status] ✓ Status callback registered for', callSid);
+        return { success: true };
+    } catch (err) {
+        console.error('[Call Status] ✗ Failed to register status callback:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+// Fetch Twilio's record of a call (price is only available once the call has ended)
+export const fetchCallDetails = async (callSid) => {
+    if (!twilioClient || !callSid) {
+        return { success: false, error: 'No Twilio client or callSid' };
+    }
+
+    try {
+        const call = await twilioClient.calls(callSid).fetch();
+        return {
+            success: true,
+            status: call.status,
+            duration: call.duration,
+            price: call.price,
+            priceUnit: call.priceUnit,
+            direction: call.direction
+        };
+    } catch (err) {
+        console.error('[Call Status] ✗ Failed to fetch call details:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
 // Start call recording
-export const startRecording = async (callSid) => {
+// `statusCallback` receives the completed recording (see /recording-status)
+export const startRecording = async (callSid, { channels = 'dual', statusCallback = null } = {}) => {
     if (!twilioClient || !callSid) {
         console.log('[Recording] Cannot start: No client or callSid available');
         return { success: false, recordingSid: null };
     }
 
     try {
+        const options = { recordingChannels: channels };
+        if (statusCallback) {
+            options.recordingStatusCallback = statusCallback;
+            options.recordingStatusCallbackMethod = 'POST';
+            options.recordingStatusCallbackEvent = ['completed', 'absent'];
+        }
+
         const recording = await twilioClient.calls(callSid)
             .recordings
-            .create({ recordingChannels: 'dual' });
+            .create(options);
         
         console.log('[Recording] Started recording:', recording.sid);
         return { success: true, recordingSid: recording.sid };
@@ -54,4 +180,98 @@ export const startRecording = async (callSid) => {
     }
 };
 
+// Download a finished recording's audio (RecordingUrl from the status callback)
+export const downloadRecording = async (recordingUrl, format = 'mp3') => {
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !recordingUrl) {
+        return { success: false, error: 'No Twilio credentials or recording URL' };
+    }
+
+    try {
+        const auth = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+        const response = await fetch(`${recordingUrl}.${format}`, { headers: { Authorization: `Basic ${auth}` } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const audio = Buffer.from(await response.arrayBuffer());
+        console.log(`[Recording] ✓ Downloaded ${audio.length} bytes from Twilio`);
+        return { success: true, audio };
+    } catch (err) {
+        console.error('[Recording] ✗ Failed to download recording:', err.message);
+        return { success: false, error: err.message };
+    }
+};
+
+// Validate the X-Twilio-Signature header of a webhook request
+// `url` must be the full public URL Twilio requested (including query string)
+export const validateTwilioSignature = (signature, url, params = {}) => {
+    if (!TWILIO_AUTH_TOKEN || !signature) {
+        return false;
+    }
+    try {
+        return twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, params);
+    } catch (err) {
+        console.error('[Twilio Auth] Signature validation error:', err.message);
+        return false;
+    }
+};
+
+// Fastify preHandler that rejects webhooks without a valid X-Twilio-Signature
+export const requireTwilioSignature = async (request, reply) => {
+    if (DISABLE_TWILIO_VALIDATION) {
+        return;
+    }
+
+    const body = request.body || {};
+    const signature = request.headers['x-twilio-signature'];
+    const url = getPublicBaseUrl(request) + request.url;
+    const params = request.method === 'POST' ? body : {};
+
+    if (!validateTwilioSignature(signature, url, params)) {
+        const from = body.From || body.from || request.query?.From || 'unknown';
+        console.warn(`[Twilio Auth] ✗ Rejected ${request.method} ${request.url} - invalid or missing signature. Caller: ${from}`);
+        reply.code(403).send('Forbidden');
+        return reply;
+    }
+};
+
+// Sign a call-scoped payload with the stream token secret
+const signStreamToken = (callSid, expiresAt) => {
+    return crypto
+        .createHmac('sha256', STREAM_TOKEN_SECRET)
+        .update(`${callSid}.${expiresAt}`)
+        .digest('base64url');
+};
+
+// Create a short-lived token that authorizes a /media-stream connection for a call
+export const createStreamToken = (callSid) => {
+    if (!STREAM_TOKEN_SECRET) {
+        return null;
+    }
+    const expiresAt = Math.floor(Date.now() / 1000) + STREAM_TOKEN_TTL_SECONDS;
+    return `${expiresAt}.${signStreamToken(callSid || '', expiresAt)}`;
+};
+
+// Verify a media stream token for a call
+export const verifyStreamToken = (token, callSid) => {
+    if (!STREAM_TOKEN_SECRET || !token) {
+        return { valid: false, reason: !token ? 'missing_token' : 'no_secret_configured' };
+    }
+
+    const [expiresAtRaw, signature] = String(token).split('.');
+    const expiresAt = Number(expiresAtRaw);
+    if (!expiresAt || !signature) {
+        return { valid: false, reason: 'malformed_token' };
+    }
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+        return { valid: false, reason: 'expired_token' };
+    }
+
+    const expected = Buffer.from(signStreamToken(callSid || '', expiresAt));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { valid: false, reason: 'invalid_signature' };
+    }
+    return { valid: true, reason: null };
+};
+
 export { twilioClient };
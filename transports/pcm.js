@@ -0,0 +1,109 @@
+// Plain PCM WebSocket transport (SIP gateways, other carriers, test clients)
+// Client -> server:
+//   {"event":"start","call_id":"...","from":"+61...","to":"+61...","direction":"inbound","turn_detection":{...},"language":"hi"}
+//   binary frames of 16-bit little-endian mono PCM at 24 kHz (or {"event":"media","audio":"<base64>"})
+//   {"event":"dtmf","digit":"5"}, {"event":"mark","name":"..."} (echo of our marks once played), {"event":"stop"}
+// Server -> client:
+//   binary PCM frames (same format), {"event":"mark","name":"..."}, {"event":"clear"}
+
+const PCM_SAMPLE_RATE = 24000;
+
+// 16-bit mono: bytes per millisecond of audio
+const BYTES_PER_MS = (PCM_SAMPLE_RATE * 2) / 1000;
+
+// Create a transport for a plain PCM WebSocket connection
+// `name` tags the transport in transcripts (e.g. 'pcm', 'web')
+export const createPcmTransport = (connection, name = 'pcm') => {
+    let streamId = null;
+    let receivedBytes = 0;
+
+    const send = (message) => {
+        if (connection.readyState === connection.OPEN) {
+            connection.send(typeof message === 'string' || Buffer.isBuffer(message) ? message : JSON.stringify(message));
+        }
+    };
+
+    // Inbound audio: timestamp is the amount of caller audio received so far
+    const mediaEvent = (audio) => {
+        receivedBytes += audio.length;
+        return { type: 'media', payload: audio.toString('base64'), timestamp: Math.round(receivedBytes / BYTES_PER_MS) };
+    };
+
+    // Convert a client message into a transport event
+    const parseMessage = (message, isBinary) => {
+        if (isBinary) {
+            return streamId ? mediaEvent(Buffer.from(message)) : null;
+        }
+
+        const data = JSON.parse(message);
+        switch (data.event) {
+            case 'start':
+                streamId = data.call_id || data.stream_id || `${name}-${Date.now()}`;
+                return {
+                    type: 'start',
+                    streamId: streamId,
+                    callSid: data.call_id || streamId,
+                    from: data.from || null,
+                    to: data.to || null,
+                    token: data.token || null,
+                    direction: data.direction || null,
+                    // Optional per-call VAD override, e.g. {"type":"semantic_vad","eagerness":"low"}
+                    turnDetection: data.turn_detection || null,
+                    // Optional language the call starts in, e.g. "hi" (one of the agent settings' languages)
+                    language: data.language || null
+                };
+            case 'media':
+                return streamId && data.audio ? mediaEvent(Buffer.from(data.audio, 'base64')) : null;
+            case 'mark':
+                return { type: 'mark', name: data.name || null };
+            case 'dtmf':
+                return data.digit !== undefined ? { type: 'dtmf', digit: String(data.digit) } : null;
+            case 'stop':
+                return { type: 'stop' };
+            default:
+                return null;
+        }
+    };
+
+    return {
+        name: name,
+        audioFormat: { type: 'audio/pcm', rate: PCM_SAMPLE_RATE },
+        // call_id is the gateway's own id - no Twilio REST call control
+        controlsCall: false,
+
+        onEvent: (handler) => {
+            connection.on('message', (message, isBinary) => {
+                try {
+                    const event = parseMessage(message, isBinary);
+                    if (event) handler(event);
+                } catch (error) {
+                    console.error(`Error parsing ${name} message:`, error);
+                }
+            });
+        },
+
+        onClose: (handler) => {
+            connection.on('close', handler);
+        },
+
+        sendAudio: (payload) => {
+            if (!streamId) return false;
+            send(Buffer.from(payload, 'base64'));
+            return true;
+        },
+
+        sendMark: (markName = 'responsePart') => {
+            if (!streamId) return false;
+            send({ event: 'mark', name: markName });
+            return true;
+        },
+
+        clearAudio: () => {
+            if (streamId) send({ event: 'clear' });
+        },
+
+        close: (code, reason) => {
+            connection.close(code, reason);
+        }
+    };
+};
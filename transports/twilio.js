@@ -0,0 +1,107 @@
+// Twilio Media Streams transport
+// Protocol: JSON text frames with event 'start' | 'media' | 'mark' | 'dtmf' | 'stop', base64 µ-law 8 kHz audio
+
+// Read Twilio <Parameter> values (customParameters object, or the older parameters array/object)
+const readStartParameters = (start) => {
+    const params = {};
+    const raw = start.customParameters || start.parameters || null;
+    if (Array.isArray(raw)) {
+        raw.forEach((p) => {
+            if (p && p.name && p.value) params[p.name.toLowerCase()] = p.value;
+        });
+    } else if (raw && typeof raw === 'object') {
+        Object.entries(raw).forEach(([k, v]) => {
+            params[String(k).toLowerCase()] = v;
+        });
+    }
+    return params;
+};
+
+// Convert a Twilio message into a transport event
+const parseTwilioMessage = (data) => {
+    switch (data.event) {
+        case 'start': {
+            const start = data.start || {};
+            const params = readStartParameters(start);
+            return {
+                type: 'start',
+                streamId: start.streamSid || data.streamSid || null,
+                callSid: params.callsid || start.callSid || start.CallSid || null,
+                from: params.from || start.from || start.From || null,
+                to: params.to || start.to || start.To || null,
+                token: params.token || null,
+                direction: params.direction || null
+            };
+        }
+        case 'media':
+            return { type: 'media', payload: data.media.payload, timestamp: Number(data.media.timestamp) || 0 };
+        case 'mark':
+            return { type: 'mark', name: data.mark?.name || null };
+        case 'dtmf':
+            return data.dtmf && data.dtmf.digit !== undefined ? { type: 'dtmf', digit: String(data.dtmf.digit) } : null;
+        case 'stop':
+            return { type: 'stop' };
+        default:
+            return null;
+    }
+};
+
+// Create a transport for a Twilio /media-stream WebSocket connection
+export const createTwilioTransport = (connection) => {
+    let streamSid = null;
+
+    const send = (message) => {
+        if (connection.readyState === connection.OPEN) {
+            connection.send(JSON.stringify(message));
+        }
+    };
+
+    return {
+        name: 'twilio',
+        // OpenAI session audio format (input and output)
+        audioFormat: { type: 'audio/pcmu' },
+        // CallSid is a Twilio call: recording, redirect and hang-up go through the Twilio REST API
+        controlsCall: true,
+
+        // Handle transport events: start, media, mark, dtmf, stop
+        onEvent: (handler) => {
+            connection.on('message', (message) => {
+                try {
+                    const event = parseTwilioMessage(JSON.parse(message));
+                    if (!event) return;
+                    if (event.type === 'start') streamSid = event.streamId;
+                    handler(event);
+                } catch (error) {
+                    console.error('Error parsing Twilio message:', error);
+                }
+            });
+        },
+
+        onClose: (handler) => {
+            connection.on('close', handler);
+        },
+
+        // Play base64 audio (in audioFormat) to the caller
+        sendAudio: (payload) => {
+            if (!streamSid) return false;
+            send({ event: 'media', streamSid: streamSid, media: { payload } });
+            return true;
+        },
+
+        // Ask Twilio to echo a mark once the audio sent so far has played
+        sendMark: (name = 'responsePart') => {
+            if (!streamSid) return false;
+            send({ event: 'mark', streamSid: streamSid, mark: { name } });
+            return true;
+        },
+
+        // Stop playing buffered audio (caller interrupted)
+        clearAudio: () => {
+            if (streamSid) send({ event: 'clear', streamSid: streamSid });
+        },
+
+        close: (code, reason) => {
+            connection.close(code, reason);
+        }
+    };
+};
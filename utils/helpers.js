@@ -1,5 +1,8 @@
 // Utility helper functions
 
+import crypto from 'crypto';
+import { PUBLIC_BASE_URL } from '../config/index.js';
+
 // Sanitize string for filenames (keep only digits)
 export const sanitizeForFilename = (s) => {
     return (String(s || '')).replace(/[^0-9]/g, '') || 'unknown';
@@ -27,6 +30,26 @@ export const generateTranscriptFilename = (callerNumber, calleeNumber, startTime
     return `call-from-${callerFormatted}-to-${calleeFormatted}-${dd}-${mon}-${yyyy}-${hh}-${min}.json`;
 };
 
+// Generate voicemail record filename
+export const generateVoicemailFilename = (callerNumber, calleeNumber, startTime) => {
+    return generateTranscriptFilename(callerNumber, calleeNumber, startTime).replace(/^call-/, 'voicemail-');
+};
+
+// Generate call status stub filename (calls that never reached the AI)
+export const generateCallStatusFilename = (callerNumber, calleeNumber, startTime) => {
+    return generateTranscriptFilename(callerNumber, calleeNumber, startTime).replace(/^call-/, 'call-status-');
+};
+
+// Generate screened (blocked) call record filename
+export const generateScreenedCallFilename = (callerNumber, calleeNumber, startTime) => {
+    return generateTranscriptFilename(callerNumber, calleeNumber, startTime).replace(/^call-/, 'screened-');
+};
+
+// Generate browser test call transcript filename (kept apart from real calls in reports)
+export const generateTestCallFilename = (callerNumber, calleeNumber, startTime) => {
+    return generateTranscriptFilename(callerNumber, calleeNumber, startTime).replace(/^call-/, 'test-call-');
+};
+
 // Generate backup filename
 export const generateBackupFilename = (callerNumber, callSid, streamSid) => {
     const callerForName = sanitizeForFilename(callerNumber);
@@ -46,6 +69,54 @@ export const getPhoneLast3Digits = (phoneNumber) => {
     return { digits: last3, spaced: last3Spaced };
 };
 
+// Escape a value for safe embedding in TwiML/XML
+export const escapeXml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+// Resolve the public base URL (https://host) of this service
+// Uses PUBLIC_BASE_URL when configured, otherwise the webhook request's Host / X-Forwarded-Host
+export const getPublicBaseUrl = (request) => {
+    if (PUBLIC_BASE_URL) {
+        return PUBLIC_BASE_URL.replace(/\/+$/, '');
+    }
+
+    const headers = (request && request.headers) || {};
+    const firstValue = (header) => String(header || '').split(',')[0].trim();
+    const host = firstValue(headers['x-forwarded-host']) || firstValue(headers.host);
+    const proto = firstValue(headers['x-forwarded-proto']) || 'https';
+    return `${proto}://${host}`;
+};
+
+// Resolve the public WebSocket URL for a path (https -> wss, http -> ws)
+export const getPublicWebSocketUrl = (request, pathname) => {
+    return getPublicBaseUrl(request).replace(/^http/, 'ws') + pathname;
+};
+
+// Create a Fastify preHandler that requires an API key (x-api-key header or Bearer token)
+// Requests are rejected when no key is configured, so the endpoint stays closed by default
+// `allowQueryKey`: also accept ?key= (browser WebSockets cannot set headers)
+export const createApiKeyGuard = (apiKey, label, { allowQueryKey = false } = {}) => {
+    return async (request, reply) => {
+        const header = request.headers['x-api-key']
+            || String(request.headers.authorization || '').replace(/^Bearer\s+/i, '')
+            || (allowQueryKey ? request.query?.key : null);
+        const provided = Buffer.from(String(header || ''));
+        const expected = Buffer.from(String(apiKey || ''));
+
+        if (!apiKey || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            console.warn(`[${label}] ✗ Rejected ${request.method} ${request.url.split('?')[0]} - ${apiKey ? 'invalid API key' : 'no API key configured'}`);
+            reply.code(401).send({ success: false, error: 'Unauthorized' });
+            return reply;
+        }
+    };
+};
+
 // Parse URL parameters
 export const parseUrlParams = (url) => {
     try {
@@ -53,11 +124,13 @@ export const parseUrlParams = (url) => {
         return {
             from: parsed.searchParams.get('from') || parsed.searchParams.get('From') || parsed.searchParams.get('caller') || parsed.searchParams.get('Caller'),
             to: parsed.searchParams.get('to') || parsed.searchParams.get('To'),
-            callSid: parsed.searchParams.get('callSid') || parsed.searchParams.get('CallSid') || parsed.searchParams.get('callsid')
+            callSid: parsed.searchParams.get('callSid') || parsed.searchParams.get('CallSid') || parsed.searchParams.get('callsid'),
+            token: parsed.searchParams.get('token'),
+            direction: parsed.searchParams.get('direction')
         };
     } catch (err) {
         console.error('[parseUrlParams] Error:', err.message);
-        return { from: null, to: null, callSid: null };
+        return { from: null, to: null, callSid: null, token: null, direction: null };
     }
 };
 
@@ -86,7 +159,32 @@ export const createInitialCallState = (callStartTime) => {
         phone_lookup_found: false,
         phone_lookup_source: null,
         disconnected_by: null,
-        disconnect_reason: null
+        disconnect_reason: null,
+        transfer: null,
+        schedule: null,
+        tenant: null,
+        // Current conversation language and each language the call used ({ language, name, started_at, source })
+        language: null,
+        languages: [],
+        // Prompt experiment variant: { id, variant, assignment }
+        experiment: null,
+        direction: 'inbound',
+        outbound: null,
+        dtmf_inputs: [],
+        turn_detection: null,
+        turn_detection_source: null,
+        // Caller barge-ins that cut off AI audio
+        interruptions: 0,
+        // Flow state machine (ai-setting/u247-flow.json): states entered and moves the flow refused
+        flow: null,
+        flow_path: [],
+        flow_rejections: [],
+        // search_knowledge_base queries and the passages returned
+        knowledge_base_searches: [],
+        // Source IDs from the last search, cited on the agent's next answer
+        knowledge_base_pending_sources: null,
+        // Tool calls rejected by argument validation: { name, errors, timestamp }
+        invalid_tool_calls: []
     };
 };
 